@@ -0,0 +1,317 @@
+import mongoose from "mongoose";
+import Store from "../../models/shop/Store.js";
+import Product from "../../models/shop/Product.js";
+import Discount from "../../models/shop/Discount.js";
+import StoreStaff from "../../models/shop/StoreStaff.js";
+import { getImageUrl } from "../../utils/shop/imageUrls.js";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns { store } or { error: { status, message } }
+const findStore = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { error: { status: 400, message: "Invalid store ID" } };
+  }
+
+  const store = await Store.findById(id).populate("createdBy", "name email suspended");
+  if (!store) {
+    return { error: { status: 404, message: "Store not found" } };
+  }
+  return { store };
+};
+
+// { [ownerId]: count } for one model, in one query
+const countByOwner = async (Model, ownerIds, match = {}) => {
+  const rows = await Model.aggregate([
+    { $match: { createdBy: { $in: ownerIds }, ...match } },
+    { $group: { _id: "$createdBy", count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+const ownerIdOf = (store) => (store.createdBy?._id || store.createdBy).toString();
+
+const formatStore = (req, store, counts = {}) => {
+  const storeObj = store.toObject ? store.toObject() : { ...store };
+  return {
+    ...storeObj,
+    logoUrl: storeObj.logo ? getImageUrl(req, "logos", storeObj.logo) : null,
+    counts,
+  };
+};
+
+/* ============================================================
+   LIST / SEARCH STORES (admin only)
+   GET /api/admin/stores
+   Query: search (name, slug or email), status (active|suspended),
+          verified (true|false), page, limit
+============================================================ */
+export const getStores = async (req, res) => {
+  try {
+    const { search, status, verified, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: "i" };
+      filter.$or = [{ name: pattern }, { slug: pattern }, { email: pattern }];
+    }
+
+    if (status === "suspended") filter.suspended = true;
+    if (status === "active") filter.suspended = { $ne: true };
+
+    if (verified === "true") filter.isVerified = true;
+    if (verified === "false") filter.isVerified = false;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [stores, total] = await Promise.all([
+      Store.find(filter)
+        .populate("createdBy", "name email suspended")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Store.countDocuments(filter),
+    ]);
+
+    const ownerIds = stores.map((store) => store.createdBy?._id || store.createdBy);
+    const [productCounts, discountCounts] = await Promise.all([
+      countByOwner(Product, ownerIds),
+      countByOwner(Discount, ownerIds),
+    ]);
+
+    const data = stores.map((store) =>
+      formatStore(req, store, {
+        products: productCounts[ownerIdOf(store)] || 0,
+        discounts: discountCounts[ownerIdOf(store)] || 0,
+      })
+    );
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get Stores Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching stores",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   GET SINGLE STORE (admin only)
+   GET /api/admin/stores/:id
+============================================================ */
+export const getStoreById = async (req, res) => {
+  try {
+    const { store, error } = await findStore(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const ownerId = store.createdBy?._id || store.createdBy;
+
+    const [products, inStockProducts, discounts, activeDiscounts, staff] = await Promise.all([
+      Product.countDocuments({ createdBy: ownerId }),
+      Product.countDocuments({ createdBy: ownerId, stock: { $gt: 0 } }),
+      Discount.countDocuments({ createdBy: ownerId }),
+      Discount.countDocuments({ createdBy: ownerId, status: "active" }),
+      StoreStaff.countDocuments({ store: store._id, status: "active" }),
+    ]);
+
+    await store.populate("suspendedBy verifiedBy", "name email");
+
+    res.json({
+      success: true,
+      data: formatStore(req, store, { products, inStockProducts, discounts, activeDiscounts, staff }),
+    });
+  } catch (error) {
+    console.error("Get Store Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching store",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   VERIFY STORE (admin only)
+   PATCH /api/admin/stores/:id/verify
+============================================================ */
+export const verifyStore = async (req, res) => {
+  try {
+    const { store, error } = await findStore(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (store.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Store is already verified",
+      });
+    }
+
+    store.isVerified = true;
+    store.verifiedAt = new Date();
+    store.verifiedBy = req.user.id;
+    await store.save();
+
+    console.log(`✅ Admin ${req.user.id} verified store ${store.name}`);
+
+    res.json({
+      success: true,
+      message: "Store verified",
+      data: formatStore(req, store),
+    });
+  } catch (error) {
+    console.error("Verify Store Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying store",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   UNVERIFY STORE (admin only)
+   PATCH /api/admin/stores/:id/unverify
+============================================================ */
+export const unverifyStore = async (req, res) => {
+  try {
+    const { store, error } = await findStore(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (!store.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Store is not verified",
+      });
+    }
+
+    store.isVerified = false;
+    store.verifiedAt = null;
+    store.verifiedBy = null;
+    await store.save();
+
+    console.log(`↩️ Admin ${req.user.id} removed verification from store ${store.name}`);
+
+    res.json({
+      success: true,
+      message: "Store verification removed",
+      data: formatStore(req, store),
+    });
+  } catch (error) {
+    console.error("Unverify Store Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing store verification",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   SUSPEND STORE (admin only)
+   PATCH /api/admin/stores/:id/suspend
+   Hides the store and its products from shoppers
+============================================================ */
+export const suspendStore = async (req, res) => {
+  try {
+    const { reason = "" } = req.body;
+
+    if (typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to suspend a store",
+      });
+    }
+
+    const { store, error } = await findStore(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (store.suspended) {
+      return res.status(400).json({
+        success: false,
+        message: "Store is already suspended",
+      });
+    }
+
+    store.suspended = true;
+    store.suspendedAt = new Date();
+    store.suspensionReason = reason.trim();
+    store.suspendedBy = req.user.id;
+    await store.save();
+
+    console.log(`⛔ Admin ${req.user.id} suspended store ${store.name}: ${store.suspensionReason}`);
+
+    res.json({
+      success: true,
+      message: "Store suspended",
+      data: formatStore(req, store),
+    });
+  } catch (error) {
+    console.error("Suspend Store Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error suspending store",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   REACTIVATE STORE (admin only)
+   PATCH /api/admin/stores/:id/reactivate
+============================================================ */
+export const reactivateStore = async (req, res) => {
+  try {
+    const { store, error } = await findStore(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (!store.suspended) {
+      return res.status(400).json({
+        success: false,
+        message: "Store is not suspended",
+      });
+    }
+
+    store.suspended = false;
+    store.suspendedAt = null;
+    store.suspensionReason = "";
+    store.suspendedBy = null;
+    await store.save();
+
+    console.log(`✅ Admin ${req.user.id} reactivated store ${store.name}`);
+
+    res.json({
+      success: true,
+      message: "Store reactivated",
+      data: formatStore(req, store),
+    });
+  } catch (error) {
+    console.error("Reactivate Store Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reactivating store",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,37 @@
+import { findOrphanedUploads, getGraceHours } from "../../jobs/uploadGarbageCollector.js";
+
+/* ============================================================
+   ORPHANED UPLOADS REPORT (admin only, dry run)
+   GET /api/admin/uploads/orphans
+   Query: graceHours (defaults to UPLOAD_GC_GRACE_HOURS)
+============================================================ */
+export const getOrphanedUploads = async (req, res) => {
+  try {
+    let graceHours = getGraceHours();
+
+    if (req.query.graceHours !== undefined) {
+      graceHours = parseFloat(req.query.graceHours);
+      if (!Number.isFinite(graceHours) || graceHours < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "graceHours must be a non-negative number",
+        });
+      }
+    }
+
+    const report = await findOrphanedUploads({ graceHours });
+
+    res.json({
+      success: true,
+      message: `${report.totals.orphans} orphaned file(s) found, nothing was deleted`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Orphaned Uploads Report Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error building orphaned uploads report",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,447 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import User, { USER_ROLES } from "../../models/User.js";
+import Store from "../../models/shop/Store.js";
+import { revokeAllSessions } from "../../utils/auth/tokens.js";
+import { getAccountLoginState, unlockAccount } from "../../utils/auth/loginThrottle.js";
+
+// Helper function to compare IDs safely
+const compareIds = (id1, id2) => {
+  if (!id1 || !id2) return false;
+  return id1.toString() === id2.toString();
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const USER_FIELDS = "-password -tokenVersion";
+
+// Returns { user } or { error: { status, message } }
+const findUser = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { error: { status: 400, message: "Invalid user ID" } };
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    return { error: { status: 404, message: "User not found" } };
+  }
+  return { user };
+};
+
+// The platform must always keep one admin who can log in
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== "admin" || user.suspended) return false;
+  const activeAdmins = await User.countDocuments({ role: "admin", suspended: { $ne: true } });
+  return activeAdmins <= 1;
+};
+
+const formatUser = (user) => {
+  const userObj = user.toObject ? user.toObject() : { ...user };
+  delete userObj.password;
+  delete userObj.tokenVersion;
+  return userObj;
+};
+
+/* ============================================================
+   LIST / SEARCH USERS (admin only)
+   GET /api/admin/users
+   Query: search (name or email), role, status (active|suspended),
+          page, limit
+============================================================ */
+export const getUsers = async (req, res) => {
+  try {
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: "i" };
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${USER_ROLES.join(", ")}`,
+        });
+      }
+      filter.role = role;
+    }
+
+    if (status === "suspended") filter.suspended = true;
+    if (status === "active") filter.suspended = { $ne: true };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get Users Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching users",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   GET SINGLE USER (admin only)
+   GET /api/admin/users/:id
+============================================================ */
+export const getUserById = async (req, res) => {
+  try {
+    const { user, error } = await findUser(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const [store, loginState] = await Promise.all([
+      Store.findOne({ createdBy: user._id }).select("name isActive"),
+      getAccountLoginState(user.email),
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...formatUser(user), store, loginState },
+    });
+  } catch (error) {
+    console.error("Get User Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching user",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   CREATE USER (admin only, any role)
+   POST /api/admin/users
+============================================================ */
+export const createUser = async (req, res) => {
+  try {
+    const { name, email, password, role = "shopOwner" } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, email and password are required",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters",
+      });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${USER_ROLES.join(", ")}`,
+      });
+    }
+
+    const exists = await User.findOne({ email: email.toLowerCase().trim() });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: "Email already exists",
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password: await bcrypt.hash(password, 10),
+      role,
+    });
+
+    console.log(`👤 Admin ${req.user.id} created ${role} ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: "User created successfully",
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Create User Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating user",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   CHANGE ROLE (admin only)
+   PATCH /api/admin/users/:id/role
+============================================================ */
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${USER_ROLES.join(", ")}`,
+      });
+    }
+
+    const { user, error } = await findUser(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (compareIds(user._id, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    if (user.role === role) {
+      return res.json({
+        success: true,
+        message: `User is already ${role}`,
+        data: formatUser(user),
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot demote the last active admin",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    // Tokens carry the role, so make the user log in again
+    await revokeAllSessions(user._id);
+
+    console.log(`👤 Admin ${req.user.id} changed ${user.email} from ${previousRole} to ${role}`);
+
+    res.json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${role}`,
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Update User Role Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating user role",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   SUSPEND USER (admin only)
+   PATCH /api/admin/users/:id/suspend
+============================================================ */
+export const suspendUser = async (req, res) => {
+  try {
+    const { reason = "" } = req.body;
+
+    const { user, error } = await findUser(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (compareIds(user._id, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot suspend your own account",
+      });
+    }
+
+    if (user.suspended) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already suspended",
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot suspend the last active admin",
+      });
+    }
+
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason;
+    user.suspendedBy = req.user.id;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+
+    console.log(`⛔ Admin ${req.user.id} suspended ${user.email}${reason ? `: ${reason}` : ""}`);
+
+    res.json({
+      success: true,
+      message: "User suspended",
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Suspend User Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error suspending user",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   REACTIVATE USER (admin only)
+   PATCH /api/admin/users/:id/reactivate
+============================================================ */
+export const reactivateUser = async (req, res) => {
+  try {
+    const { user, error } = await findUser(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (!user.suspended) {
+      return res.status(400).json({
+        success: false,
+        message: "User is not suspended",
+      });
+    }
+
+    user.suspended = false;
+    user.suspendedAt = null;
+    user.suspensionReason = "";
+    user.suspendedBy = null;
+    await user.save();
+
+    console.log(`✅ Admin ${req.user.id} reactivated ${user.email}`);
+
+    res.json({
+      success: true,
+      message: "User reactivated",
+      data: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Reactivate User Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reactivating user",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   UNLOCK LOGIN (admin only)
+   PATCH /api/admin/users/:id/unlock
+   Clears failed-login backoff and lockout for the account
+============================================================ */
+export const unlockUser = async (req, res) => {
+  try {
+    const { user, error } = await findUser(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const cleared = await unlockAccount(user.email);
+
+    if (cleared) {
+      console.log(`🔓 Admin ${req.user.id} unlocked login for ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: cleared ? "Account unlocked" : "Account was not locked",
+    });
+  } catch (error) {
+    console.error("Unlock User Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error unlocking user",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   DELETE USER (admin only)
+   DELETE /api/admin/users/:id
+============================================================ */
+export const deleteUser = async (req, res) => {
+  try {
+    const { user, error } = await findUser(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (compareIds(user._id, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot delete your own account",
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete the last active admin",
+      });
+    }
+
+    // A store without an owner could never be managed again
+    const store = await Store.findOne({ createdBy: user._id }).select("name");
+    if (store) {
+      return res.status(409).json({
+        success: false,
+        message: `User owns the store "${store.name}". Delete the store first, or suspend the user instead.`,
+      });
+    }
+
+    await revokeAllSessions(user._id);
+    await unlockAccount(user.email);
+    await user.deleteOne();
+
+    console.log(`🗑️ Admin ${req.user.id} deleted user ${user.email}`);
+
+    res.json({
+      success: true,
+      message: "User deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete User Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting user",
+      error: error.message,
+    });
+  }
+};
@@ -1,23 +1,70 @@
-import User from "../models/User.js";
+import User, { PUBLIC_ROLES } from "../models/User.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-
-// Generate JWT Token
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user._id,
-      role: user.role,
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
-  );
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokens,
+  revokeAllSessions,
+  generatePasswordResetToken,
+  verifyPasswordResetToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  getPasswordResetExpire,
+  getEmailVerificationExpire,
+} from "../utils/auth/tokens.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/auth/loginThrottle.js";
+import { sendMail } from "../utils/mail/index.js";
+import { passwordResetEmail, verificationEmail } from "../utils/mail/templates.js";
+
+// 423 for a locked account, 429 while backing off
+const sendLoginBlocked = (res, block) => {
+  res.set("Retry-After", String(block.retryAfter));
+  return res.status(block.status).json({
+    message: block.message,
+    code: block.code,
+    retryAfter: block.retryAfter,
+    ...(block.lockedUntil && { lockedUntil: block.lockedUntil }),
+  });
 };
 
-// REGISTER (Admin will use later)
+// Email a verification link; a mail failure must not fail the request
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = generateEmailVerificationToken(user);
+    await sendMail({
+      to: user.email,
+      ...verificationEmail({ name: user.name, token, expiresIn: getEmailVerificationExpire() }),
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Could not send verification email to ${user.email}:`, error.message);
+    return false;
+  }
+};
+
+// REGISTER (public sign-up; admins are created through /api/admin/users)
 export const registerUser = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role = "shopOwner" } = req.body;
+
+    if (!name || !email || !password)
+      return res.status(400).json({ message: "Name, email and password are required" });
+
+    if (password.length < 6)
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+
+    // Never let a public request pick the admin role
+    if (!PUBLIC_ROLES.includes(role))
+      return res
+        .status(400)
+        .json({ message: `Role must be one of: ${PUBLIC_ROLES.join(", ")}` });
 
     // Check existing user
     const exists = await User.findOne({ email });
@@ -35,6 +82,8 @@ export const registerUser = async (req, res) => {
       role,
     });
 
+    await sendVerificationEmail(user);
+
     res.status(201).json({
       message: "User registered successfully",
       user: { id: user._id, email: user.email, role: user.role },
@@ -44,34 +93,312 @@ export const registerUser = async (req, res) => {
   }
 };
 
+// REGISTER CUSTOMER (public self-registration for shoppers)
+export const registerCustomer = async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    if (!name || !email || !password)
+      return res.status(400).json({ message: "Name, email and password are required" });
+
+    if (password.length < 6)
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+
+    // Check existing user
+    const exists = await User.findOne({ email });
+    if (exists)
+      return res.status(400).json({ message: "Email already exists" });
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Role is always customer, whatever the body says
+    const user = await User.create({
+      name,
+      email,
+      password: hashedPassword,
+      role: "customer",
+    });
+
+    await sendVerificationEmail(user);
+
+    // Log the shopper straight in
+    const session = await createSession(user, req);
+
+    res.status(201).json({
+      message: "Account created successfully",
+      ...session,
+      user: { id: user._id, email: user.email, role: user.role, emailVerified: user.emailVerified },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
 // LOGIN
 export const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    if (typeof email !== "string" || typeof password !== "string" || !email || !password)
+      return res.status(400).json({ message: "Email and password are required" });
+
+    // Backoff and lockout are checked before the password is
+    const blocked = await checkLoginAllowed({ email, ip: req.ip });
+    if (blocked) return sendLoginBlocked(res, blocked);
+
     // Find user
-    const user = await User.findOne({ email });
-    if (!user)
-      return res.status(400).json({ message: "Invalid email or password" });
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
 
     // Compare passwords
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isMatch) {
+      // Unknown emails count too, so the answers do not reveal which exist
+      const block = await recordLoginFailure({ email, ip: req.ip });
+      if (block?.code === "ACCOUNT_LOCKED") return sendLoginBlocked(res, block);
+
       return res.status(400).json({ message: "Invalid email or password" });
+    }
+
+    await clearLoginFailures({ email });
 
-    // Generate token
-    const token = generateToken(user);
+    if (user.suspended)
+      return res.status(403).json({
+        message: "This account has been suspended. Please contact support.",
+        code: "ACCOUNT_SUSPENDED",
+      });
+
+    // Short-lived access token plus a refresh token for this device
+    const session = await createSession(user, req);
 
     res.json({
       message: "Login successful",
-      token,
+      ...session,
       user: {
         id: user._id,
         email: user.email,
         role: user.role, // frontend will redirect based on this
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
     res.status(500).json({ message: "Server Error", error });
   }
 };
+
+// REFRESH - swap a refresh token for a new access/refresh token pair
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      return res
+        .status(result.error.status)
+        .json({ message: result.error.message, code: result.error.code });
+    }
+
+    res.json({
+      message: "Session refreshed",
+      ...result.session,
+      user: { id: result.user._id, email: result.user.email, role: result.user.role },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
+// LOGOUT - end the session of this refresh token
+export const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken)
+      return res.status(400).json({ message: "Refresh token is required" });
+
+    await revokeRefreshToken(refreshToken);
+
+    // Same answer whether or not the token was still active
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
+// LOGOUT ALL - end every session of the current user, this one included
+export const logoutAllSessions = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+
+    res.json({ message: "Logged out of all sessions" });
+  } catch (error) {
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
+// CHANGE PASSWORD - signs out every other session
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword)
+      return res
+        .status(400)
+        .json({ message: "Current and new password are required" });
+
+    if (newPassword.length < 6)
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch)
+      return res.status(400).json({ message: "Current password is incorrect" });
+
+    // Saving a new password bumps tokenVersion (see the User model), which
+    // invalidates every access token issued so far
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeRefreshTokens(user._id);
+
+    // Keep this device signed in
+    const session = await createSession(user, req);
+
+    res.json({
+      message: "Password changed successfully",
+      ...session,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
+// FORGOT PASSWORD - email a reset link
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string")
+      return res.status(400).json({ message: "Email is required" });
+
+    // Same answer whether or not the account exists
+    const response = {
+      message: "If an account exists for this email, a reset link has been sent",
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) return res.json(response);
+
+    // A mail failure is logged, not returned, so the answer stays the same
+    try {
+      const token = generatePasswordResetToken(user);
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({ name: user.name, token, expiresIn: getPasswordResetExpire() }),
+      });
+    } catch (mailError) {
+      console.error(`❌ Could not send password reset email to ${user.email}:`, mailError.message);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Forgot Password Error:", error);
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
+// RESET PASSWORD - set a new password with a token from the email
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password)
+      return res.status(400).json({ message: "Token and new password are required" });
+
+    if (password.length < 6)
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+
+    const result = await verifyPasswordResetToken(token);
+    if (result.error) {
+      return res
+        .status(result.error.status)
+        .json({ message: result.error.message, code: result.error.code });
+    }
+
+    const { user } = result;
+
+    // Saving bumps tokenVersion and passwordChangedAt, which ends every
+    // session and makes this link single-use
+    user.password = await bcrypt.hash(password, 10);
+    // The reset link proved the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeRefreshTokens(user._id);
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (error) {
+    console.error("Reset Password Error:", error);
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
+// VERIFY EMAIL - confirm the address with a token from the email
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token)
+      return res.status(400).json({ message: "Token is required" });
+
+    const result = await verifyEmailVerificationToken(token);
+    if (result.error) {
+      return res
+        .status(result.error.status)
+        .json({ message: result.error.message, code: result.error.code });
+    }
+
+    const { user } = result;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      message: "Email verified successfully",
+      user: { id: user._id, email: user.email, emailVerified: true },
+    });
+  } catch (error) {
+    console.error("Verify Email Error:", error);
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
+
+// RESEND VERIFICATION - for the logged-in user
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("-password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.emailVerified)
+      return res.status(400).json({ message: "Email is already verified" });
+
+    const sent = await sendVerificationEmail(user);
+    if (!sent)
+      return res.status(502).json({ message: "Could not send the verification email. Please try again later." });
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    res.status(500).json({ message: "Server Error", error });
+  }
+};
@@ -0,0 +1,613 @@
+import Discount from "../../models/shop/Discount.js";
+import DiscountCampaign, { CAMPAIGN_RULE_FIELDS } from "../../models/shop/DiscountCampaign.js";
+import DiscountRedemption from "../../models/shop/DiscountRedemption.js";
+import {
+  MAX_CODES_PER_BATCH,
+  generateUniqueCodes,
+  normalizeCodeOptions,
+} from "../../utils/shop/discountCodes.js";
+import { syncDiscountStatuses } from "../../jobs/discountStatusScheduler.js";
+
+// Helper to validate dates
+const validateDates = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (isNaN(start) || isNaN(end)) {
+    return "Start date and end date must be valid dates";
+  }
+
+  if (start > end) {
+    return "End date must be after start date";
+  }
+
+  if (end < new Date()) {
+    return "End date must be in the future";
+  }
+
+  return null;
+};
+
+// Accept arrays as JSON strings, arrays or single values
+const parseIdList = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return Array.isArray(value) ? value : [value];
+  }
+};
+
+// Pick and convert the shared rule fields present in the body
+const parseRules = (body) => {
+  const rules = {};
+
+  if (body.type !== undefined) rules.type = body.type;
+  if (body.value !== undefined) rules.value = parseFloat(body.value);
+  if (body.minOrder !== undefined) rules.minOrder = parseFloat(body.minOrder) || 0;
+  if (body.maxDiscount !== undefined) rules.maxDiscount = parseFloat(body.maxDiscount) || 0;
+  if (body.startDate !== undefined) rules.startDate = new Date(body.startDate);
+  if (body.endDate !== undefined) rules.endDate = new Date(body.endDate);
+  if (body.customerType !== undefined) rules.customerType = body.customerType;
+  if (body.appliesTo !== undefined) rules.appliesTo = body.appliesTo;
+  if (body.categories !== undefined) rules.categories = parseIdList(body.categories);
+  if (body.products !== undefined) rules.products = parseIdList(body.products);
+  if (body.combineWithOther !== undefined) {
+    rules.combineWithOther = body.combineWithOther !== "false" && body.combineWithOther !== false;
+  }
+  if (body.excludeSaleItems !== undefined) {
+    rules.excludeSaleItems = body.excludeSaleItems === "true" || body.excludeSaleItems === true;
+  }
+
+  return rules;
+};
+
+// Status a new code should start in; mirrors the Discount save hook
+const statusForDates = (startDate, endDate) => {
+  const now = new Date();
+  if (now < new Date(startDate)) return "upcoming";
+  if (now > new Date(endDate)) return "expired";
+  return "active";
+};
+
+/**
+ * Generate `count` single-use codes that copy the campaign's rules.
+ * insertMany skips the save hook, so status and remainingUses are set here.
+ */
+const addCampaignCodes = async (campaign, count) => {
+  const target = campaign.codesGenerated + count;
+  let total = campaign.codesGenerated;
+
+  // A code can be taken between the uniqueness check and the insert, so top up
+  for (let round = 0; round < 3 && total < target; round++) {
+    const codes = await generateUniqueCodes(target - total, {
+      prefix: campaign.codePrefix,
+      length: campaign.codeLength,
+      alphabet: campaign.codeAlphabet,
+    });
+
+    const rules = {};
+    for (const field of CAMPAIGN_RULE_FIELDS) rules[field] = campaign[field];
+
+    const docs = codes.map((code) => ({
+      ...rules,
+      name: campaign.name,
+      code,
+      description: campaign.description,
+      usageLimit: 1,
+      remainingUses: 1,
+      oneTimeUse: true,
+      status: statusForDates(campaign.startDate, campaign.endDate),
+      campaign: campaign._id,
+      createdBy: campaign.createdBy,
+    }));
+
+    try {
+      await Discount.insertMany(docs, { ordered: false });
+    } catch (error) {
+      // Duplicate codes are retried; anything else is a real failure
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+    }
+
+    total = await Discount.countDocuments({ campaign: campaign._id });
+  }
+
+  campaign.codesGenerated = total;
+  await campaign.save();
+
+  return total - (target - count);
+};
+
+// Per-campaign totals from the codes and the redemption ledger
+const getCampaignRollups = async (campaignIds) => {
+  const [codeStats, redemptionStats] = await Promise.all([
+    Discount.aggregate([
+      { $match: { campaign: { $in: campaignIds } } },
+      {
+        $group: {
+          _id: "$campaign",
+          totalCodes: { $sum: 1 },
+          redeemedCodes: { $sum: { $cond: [{ $gt: ["$usedCount", 0] }, 1, 0] } },
+          totalUsage: { $sum: "$usedCount" },
+          totalOrders: { $sum: "$ordersUsed" },
+          totalRevenue: { $sum: "$revenueGenerated" },
+        },
+      },
+    ]),
+    DiscountRedemption.aggregate([
+      { $match: { campaign: { $in: campaignIds }, voided: { $ne: true } } },
+      {
+        $group: {
+          _id: "$campaign",
+          totalDiscountGiven: { $sum: "$amount" },
+          customers: { $addToSet: "$customer" },
+        },
+      },
+    ]),
+  ]);
+
+  const codeMap = new Map(codeStats.map((s) => [s._id.toString(), s]));
+  const redemptionMap = new Map(redemptionStats.map((s) => [s._id.toString(), s]));
+
+  const rollups = new Map();
+  for (const id of campaignIds) {
+    const codes = codeMap.get(id.toString()) || {};
+    const redemptions = redemptionMap.get(id.toString()) || {};
+    const totalCodes = codes.totalCodes || 0;
+    const redeemedCodes = codes.redeemedCodes || 0;
+
+    rollups.set(id.toString(), {
+      totalCodes,
+      redeemedCodes,
+      unusedCodes: totalCodes - redeemedCodes,
+      redemptionRate: totalCodes > 0 ? Math.round((redeemedCodes / totalCodes) * 100) : 0,
+      totalUsage: codes.totalUsage || 0,
+      totalOrders: codes.totalOrders || 0,
+      totalRevenue: Math.round((codes.totalRevenue || 0) * 100) / 100,
+      totalDiscountGiven: Math.round((redemptions.totalDiscountGiven || 0) * 100) / 100,
+      uniqueCustomers: redemptions.customers?.length || 0,
+    });
+  }
+
+  return rollups;
+};
+
+// Latest live redemption per code, keyed by discount id
+const getRedemptionsByCode = async (filter) => {
+  const redemptions = await DiscountRedemption.find({ ...filter, voided: { $ne: true } })
+    .populate("customer", "name email")
+    .populate("order", "orderNumber")
+    .sort({ createdAt: -1 });
+
+  const map = new Map();
+  for (const redemption of redemptions) {
+    const key = redemption.discount.toString();
+    if (!map.has(key)) map.set(key, redemption);
+  }
+  return map;
+};
+
+// Shape a generated code with its redemption for responses and export
+const formatCode = (code, redemption) => ({
+  _id: code._id,
+  code: code.code,
+  status: code.usedCount > 0 ? "redeemed" : code.status,
+  usedCount: code.usedCount,
+  redeemedBy: redemption?.customer
+    ? { _id: redemption.customer._id, name: redemption.customer.name, email: redemption.customer.email }
+    : null,
+  orderNumber: redemption?.order?.orderNumber || null,
+  discountAmount: redemption?.amount ?? null,
+  redeemedAt: redemption?.createdAt || null,
+});
+
+// Quote a CSV value and neutralize spreadsheet formulas; codes can start
+// with "-" too, so every cell is checked
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/* ============================================================
+   CREATE CAMPAIGN AND GENERATE CODES (owner only)
+   POST /api/campaigns
+============================================================ */
+export const createCampaign = async (req, res) => {
+  try {
+    console.log("=== CREATE DISCOUNT CAMPAIGN ===");
+    const { name, description, quantity, prefix, codeLength, alphabet } = req.body;
+    const rules = parseRules(req.body);
+    const count = parseInt(quantity);
+
+    if (!name || !rules.type || !rules.value || !req.body.startDate || !req.body.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, type, value, start date, and end date are required",
+      });
+    }
+
+    if (!count || count < 1 || count > MAX_CODES_PER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be between 1 and ${MAX_CODES_PER_BATCH}`,
+      });
+    }
+
+    const dateError = validateDates(rules.startDate, rules.endDate);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+
+    const codeOptions = normalizeCodeOptions({ prefix, length: codeLength, alphabet, count });
+    if (codeOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: codeOptions.error,
+      });
+    }
+
+    const campaign = await DiscountCampaign.create({
+      ...rules,
+      name,
+      description: description || "",
+      codePrefix: codeOptions.prefix,
+      codeLength: codeOptions.length,
+      codeAlphabet: codeOptions.alphabet,
+      createdBy: req.storeAccess.ownerId,
+    });
+
+    let generated;
+    try {
+      generated = await addCampaignCodes(campaign, count);
+    } catch (error) {
+      // Do not leave a half-made campaign behind
+      await Discount.deleteMany({ campaign: campaign._id });
+      await campaign.deleteOne();
+      throw error;
+    }
+
+    const rollups = await getCampaignRollups([campaign._id]);
+
+    res.status(201).json({
+      success: true,
+      message: `Campaign created with ${generated} code(s)`,
+      data: {
+        ...campaign.toObject(),
+        stats: rollups.get(campaign._id.toString()),
+      },
+    });
+  } catch (error) {
+    console.error("Create Campaign Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating campaign",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   GET ALL CAMPAIGNS (owner only)
+   GET /api/campaigns
+============================================================ */
+export const getCampaigns = async (req, res) => {
+  try {
+    const { search, page = 1, limit = 10 } = req.query;
+
+    const filter = { createdBy: req.storeAccess.ownerId };
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { codePrefix: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [campaigns, total] = await Promise.all([
+      DiscountCampaign.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      DiscountCampaign.countDocuments(filter),
+    ]);
+
+    const rollups = await getCampaignRollups(campaigns.map((c) => c._id));
+
+    res.json({
+      success: true,
+      data: campaigns.map((campaign) => ({
+        ...campaign.toObject(),
+        stats: rollups.get(campaign._id.toString()),
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get Campaigns Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching campaigns",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   GET SINGLE CAMPAIGN WITH ROLL-UP (owner only)
+   GET /api/campaigns/:id
+============================================================ */
+export const getCampaignById = async (req, res) => {
+  try {
+    // Loaded and ownership checked by checkOwnership
+    const campaign = req.resource;
+
+    await campaign.populate("categories", "name");
+    await campaign.populate("products", "name price");
+
+    const rollups = await getCampaignRollups([campaign._id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...campaign.toObject(),
+        stats: rollups.get(campaign._id.toString()),
+      },
+    });
+  } catch (error) {
+    console.error("Get Campaign Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching campaign",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   UPDATE CAMPAIGN RULES (owner only)
+   PUT /api/campaigns/:id
+   Applies to codes not redeemed yet
+============================================================ */
+export const updateCampaign = async (req, res) => {
+  try {
+    console.log("=== UPDATE DISCOUNT CAMPAIGN ===");
+    // Loaded and ownership checked by checkOwnership
+    const campaign = req.resource;
+
+    const rules = parseRules(req.body);
+
+    if (rules.startDate || rules.endDate) {
+      const dateError = validateDates(
+        rules.startDate || campaign.startDate,
+        rules.endDate || campaign.endDate
+      );
+      if (dateError) {
+        return res.status(400).json({
+          success: false,
+          message: dateError,
+        });
+      }
+    }
+
+    const shared = { ...rules };
+    if (req.body.name !== undefined) shared.name = req.body.name;
+    if (req.body.description !== undefined) shared.description = req.body.description;
+
+    campaign.set(shared);
+    await campaign.save();
+
+    // Unused codes follow the campaign's rules; redeemed codes keep the rules
+    // they were redeemed under, so an expired code is never brought back
+    await Discount.updateMany(
+      { campaign: campaign._id, usedCount: 0 },
+      { $set: shared },
+      { runValidators: true }
+    );
+    await syncDiscountStatuses({ campaign: campaign._id });
+
+    const rollups = await getCampaignRollups([campaign._id]);
+
+    res.json({
+      success: true,
+      message: "Campaign updated successfully",
+      data: {
+        ...campaign.toObject(),
+        stats: rollups.get(campaign._id.toString()),
+      },
+    });
+  } catch (error) {
+    console.error("Update Campaign Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating campaign",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   DELETE CAMPAIGN AND ITS CODES (owner only)
+   DELETE /api/campaigns/:id
+============================================================ */
+export const deleteCampaign = async (req, res) => {
+  try {
+    // Loaded and ownership checked by checkOwnership
+    const campaign = req.resource;
+
+    const result = await Discount.deleteMany({ campaign: campaign._id });
+    await campaign.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Campaign deleted with ${result.deletedCount} code(s)`,
+    });
+  } catch (error) {
+    console.error("Delete Campaign Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting campaign",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   GENERATE MORE CODES (owner only)
+   POST /api/campaigns/:id/codes
+============================================================ */
+export const generateCampaignCodes = async (req, res) => {
+  try {
+    // Loaded and ownership checked by checkOwnership
+    const campaign = req.resource;
+
+    const count = parseInt(req.body.quantity);
+    if (!count || count < 1 || count > MAX_CODES_PER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be between 1 and ${MAX_CODES_PER_BATCH}`,
+      });
+    }
+
+    const codeOptions = normalizeCodeOptions({
+      prefix: campaign.codePrefix,
+      length: campaign.codeLength,
+      alphabet: campaign.codeAlphabet,
+      count: campaign.codesGenerated + count,
+    });
+    if (codeOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: codeOptions.error,
+      });
+    }
+
+    const generated = await addCampaignCodes(campaign, count);
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${generated} code(s)`,
+      data: {
+        generated,
+        codesGenerated: campaign.codesGenerated,
+      },
+    });
+  } catch (error) {
+    console.error("Generate Campaign Codes Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating codes",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   LIST CAMPAIGN CODES (owner only)
+   GET /api/campaigns/:id/codes?state=redeemed|unused
+============================================================ */
+export const getCampaignCodes = async (req, res) => {
+  try {
+    // Loaded and ownership checked by checkOwnership
+    const campaign = req.resource;
+
+    const { state, search, page = 1, limit = 50 } = req.query;
+
+    const filter = { campaign: campaign._id };
+    if (state === "redeemed") filter.usedCount = { $gt: 0 };
+    if (state === "unused") filter.usedCount = 0;
+    if (search) filter.code = { $regex: search, $options: "i" };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [codes, total] = await Promise.all([
+      Discount.find(filter)
+        .select("code status usedCount createdAt")
+        .sort({ code: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Discount.countDocuments(filter),
+    ]);
+
+    const redemptions = await getRedemptionsByCode({
+      discount: { $in: codes.map((c) => c._id) },
+    });
+
+    res.json({
+      success: true,
+      data: codes.map((code) => formatCode(code, redemptions.get(code._id.toString()))),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get Campaign Codes Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching campaign codes",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   EXPORT CAMPAIGN CODES AS CSV (owner only)
+   GET /api/campaigns/:id/export
+============================================================ */
+export const exportCampaignCodes = async (req, res) => {
+  try {
+    // Loaded and ownership checked by checkOwnership
+    const campaign = req.resource;
+
+    const [codes, redemptions] = await Promise.all([
+      Discount.find({ campaign: campaign._id })
+        .select("code status usedCount")
+        .sort({ code: 1 }),
+      getRedemptionsByCode({ campaign: campaign._id }),
+    ]);
+
+    const rows = [
+      ["code", "status", "used_count", "redeemed_by", "customer_email", "order_number", "discount_amount", "redeemed_at"],
+    ];
+
+    for (const code of codes) {
+      const row = formatCode(code, redemptions.get(code._id.toString()));
+      rows.push([
+        toCsvValue(row.code),
+        toCsvValue(row.status),
+        toCsvValue(row.usedCount),
+        toCsvValue(row.redeemedBy?.name),
+        toCsvValue(row.redeemedBy?.email),
+        toCsvValue(row.orderNumber),
+        toCsvValue(row.discountAmount),
+        toCsvValue(row.redeemedAt),
+      ]);
+    }
+
+    const fileName = `${(campaign.codePrefix || "campaign").toLowerCase()}-${campaign._id}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(rows.map((row) => row.join(",")).join("\n"));
+  } catch (error) {
+    console.error("Export Campaign Codes Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error exporting campaign codes",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,515 @@
+import mongoose from "mongoose";
+import Cart from "../../models/shop/Cart.js";
+import Product from "../../models/shop/Product.js";
+import Discount from "../../models/shop/Discount.js";
+import Store from "../../models/shop/Store.js";
+import { getImageUrl } from "../../utils/shop/imageUrls.js";
+import {
+  applyDiscounts,
+  getCustomerContext,
+  loadLineItems,
+} from "../../utils/shop/discountEngine.js";
+
+// Helper function to compare IDs safely
+const compareIds = (id1, id2) => {
+  if (!id1 || !id2) return false;
+  return id1.toString() === id2.toString();
+};
+
+// Round money values to cents
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// A cart line is one product, or one variant of a product
+const isSameLine = (item, productId, variantId) =>
+  compareIds(item.product, productId) &&
+  (item.variant?.toString() || "") === (variantId?.toString() || "");
+
+// Find the user's cart or start an empty one
+const getOrCreateCart = async (userId) => {
+  const cart = await Cart.findOne({ customer: userId });
+  return cart || new Cart({ customer: userId, items: [] });
+};
+
+/**
+ * Price the cart's code with the same engine and store discount settings
+ * as checkout, so the cart total matches what the order will charge.
+ * Returns { valid, reason, discountAmount, lineDiscounts }.
+ */
+const priceCartDiscount = async (customerId, shopOwnerId, discount, lines) => {
+  const [store, customerContext] = await Promise.all([
+    Store.findOne({ createdBy: shopOwnerId }).select("discountSettings"),
+    getCustomerContext(customerId, shopOwnerId, [discount._id]),
+  ]);
+
+  const result = applyDiscounts([discount], lines, {
+    ...customerContext,
+    maxStackedCodes: store?.discountSettings?.maxStackedCodes,
+    maxDiscountPercent: store?.discountSettings?.maxDiscountPercent,
+  });
+
+  if (result.applied.length === 0) {
+    return {
+      valid: false,
+      reason: result.rejected[0]?.reason || "Discount cannot be applied to this cart",
+      discountAmount: 0,
+      lineDiscounts: [],
+    };
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    discountAmount: result.discountAmount,
+    lineDiscounts: result.lineDiscounts,
+  };
+};
+
+/**
+ * Re-check stock and prices for every line and recalculate totals.
+ * Returns a list of warnings describing anything that changed.
+ */
+const recalculateCart = async (cart) => {
+  const warnings = [];
+
+  const products = await Product.find({
+    _id: { $in: cart.items.map((item) => item.product) },
+  });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = [];
+  const lines = [];
+  for (const item of cart.items) {
+    const product = productMap.get(item.product.toString());
+
+    if (!product) {
+      warnings.push("A product in your cart is no longer available and was removed");
+      continue;
+    }
+
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    if ((item.variant && !variant) || (product.variants.length > 0 && !item.variant)) {
+      warnings.push(`The chosen option of ${product.name} is no longer available and was removed`);
+      continue;
+    }
+
+    const label = product.getVariantLabel(variant);
+    const name = label ? `${product.name} (${label})` : product.name;
+    const available = (variant || product).stock;
+    const { price, compareAtPrice } = product.getPricing(variant);
+
+    if (available <= 0) {
+      warnings.push(`${name} is out of stock and was removed`);
+      continue;
+    }
+
+    let quantity = item.quantity;
+    if (quantity > available) {
+      quantity = available;
+      warnings.push(`Only ${available} of ${name} left in stock. Quantity updated.`);
+    }
+
+    if (item.price && item.price !== price) {
+      warnings.push(`The price of ${name} changed to $${price}`);
+    }
+
+    const subtotal = roundMoney(price * quantity);
+    items.push({
+      product: product._id,
+      variant: variant?._id || null,
+      quantity,
+      price,
+      subtotal,
+      discountAmount: 0,
+    });
+    lines.push({
+      product: product._id,
+      variant: variant?._id || null,
+      name,
+      category: product.category,
+      price,
+      compareAtPrice,
+      quantity,
+      subtotal,
+    });
+  }
+
+  cart.items = items;
+  if (items.length === 0) cart.shopOwner = null;
+
+  cart.subtotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+  cart.discountAmount = 0;
+
+  // Re-validate the applied code with the same rules as checkout
+  if (cart.discountCode) {
+    const discount = cart.shopOwner
+      ? await Discount.findOne({ code: cart.discountCode, createdBy: cart.shopOwner })
+      : null;
+
+    if (!discount) {
+      warnings.push(`Discount code ${cart.discountCode} is no longer valid and was removed`);
+      cart.discount = null;
+      cart.discountCode = null;
+    } else {
+      cart.discount = discount._id;
+      const result = await priceCartDiscount(cart.customer, cart.shopOwner, discount, lines);
+
+      if (!result.valid) {
+        warnings.push(`Discount code ${cart.discountCode} not applied: ${result.reason}`);
+      } else {
+        cart.discountAmount = result.discountAmount;
+        result.lineDiscounts.forEach((amount, index) => {
+          cart.items[index].discountAmount = amount;
+        });
+      }
+    }
+  }
+
+  cart.total = roundMoney(Math.max(0, cart.subtotal - cart.discountAmount));
+
+  await cart.save();
+  return warnings;
+};
+
+// Populate products and add image URLs for the response
+const formatCart = async (cart, req) => {
+  await cart.populate("items.product", "name frontImage stock category options variants");
+
+  const cartObj = cart.toObject({ flattenMaps: true });
+  cartObj.items = cartObj.items.map((item, index) => {
+    const product = cart.items[index].product;
+    if (!item.product) return { ...item, product: null };
+
+    const { options, variants, ...productFields } = item.product;
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+
+    return {
+      ...item,
+      product: {
+        ...productFields,
+        frontImage: productFields.frontImage
+          ? getImageUrl(req, "products", productFields.frontImage)
+          : null,
+      },
+      variant: variant
+        ? {
+            _id: variant._id,
+            sku: variant.sku,
+            label: product.getVariantLabel(variant),
+            stock: variant.stock,
+            image: variant.image ? getImageUrl(req, "products", variant.image) : null,
+          }
+        : null,
+    };
+  });
+
+  return cartObj;
+};
+
+// Send the recalculated cart back to the client
+const sendCart = async (res, req, cart, message, warnings = []) => {
+  res.json({
+    success: true,
+    message,
+    data: await formatCart(cart, req),
+    warnings,
+  });
+};
+
+/* ============================================================
+   GET MY CART
+   GET /api/cart
+============================================================ */
+export const getCart = async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    const warnings = await recalculateCart(cart);
+
+    await sendCart(res, req, cart, "Cart fetched successfully", warnings);
+  } catch (error) {
+    console.error("Get Cart Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching cart",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   ADD ITEM TO CART
+   POST /api/cart/items
+============================================================ */
+export const addCartItem = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = parseInt(req.body.quantity ?? 1);
+
+    if (!mongoose.isValidObjectId(productId) || !quantity || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid product and a quantity of at least 1 are required",
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    if (compareIds(product.createdBy, req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot add your own products to your cart",
+      });
+    }
+
+    // Same check as checkout, so shoppers find out before they get there
+    if (await Store.exists({ createdBy: product.createdBy, suspended: true })) {
+      return res.status(400).json({
+        success: false,
+        message: "This store is not accepting orders right now",
+      });
+    }
+
+    // Products sold in options are added one variant at a time
+    const variant = variantId && mongoose.isValidObjectId(variantId)
+      ? product.variants.id(variantId)
+      : null;
+    if (product.variants.length > 0 && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose a valid option for ${product.name}`,
+      });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+
+    if (cart.items.length > 0 && !compareIds(cart.shopOwner, product.createdBy)) {
+      return res.status(409).json({
+        success: false,
+        message: "Your cart has items from another store. Clear it before adding this product.",
+      });
+    }
+
+    const existing = cart.items.find((item) => isSameLine(item, product._id, variant?._id));
+    const newQuantity = (existing?.quantity || 0) + quantity;
+    const available = (variant || product).stock;
+
+    if (newQuantity > available) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${available} of ${product.name} left in stock`,
+        data: { available, inCart: existing?.quantity || 0 },
+      });
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: product._id, variant: variant?._id || null, quantity });
+    }
+    cart.shopOwner = product.createdBy;
+
+    const warnings = await recalculateCart(cart);
+
+    await sendCart(res, req, cart, "Item added to cart", warnings);
+  } catch (error) {
+    console.error("Add Cart Item Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error adding item to cart",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   CHANGE ITEM QUANTITY
+   PATCH /api/cart/items/:productId?variant=<variantId>
+============================================================ */
+export const updateCartItem = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const variantId = req.query.variant || req.body.variantId || null;
+    const quantity = parseInt(req.body.quantity);
+
+    if (isNaN(quantity) || quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be 0 or more",
+      });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+    const item = cart.items.find((i) => isSameLine(i, productId, variantId));
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: "Item not found in cart" });
+    }
+
+    // Setting quantity to 0 removes the line
+    if (quantity === 0) {
+      cart.items = cart.items.filter((i) => !isSameLine(i, productId, variantId));
+    } else {
+      const product = await Product.findById(productId);
+      const variant = product && variantId ? product.variants.id(variantId) : null;
+      const available = (variant || product)?.stock;
+      if (product && quantity > available) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${available} of ${product.name} left in stock`,
+          data: { available },
+        });
+      }
+      item.quantity = quantity;
+    }
+
+    const warnings = await recalculateCart(cart);
+
+    await sendCart(res, req, cart, "Cart updated", warnings);
+  } catch (error) {
+    console.error("Update Cart Item Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating cart",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   REMOVE ITEM FROM CART
+   DELETE /api/cart/items/:productId?variant=<variantId>
+============================================================ */
+export const removeCartItem = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const variantId = req.query.variant || null;
+
+    const cart = await getOrCreateCart(req.user.id);
+    const before = cart.items.length;
+    cart.items = cart.items.filter((i) => !isSameLine(i, productId, variantId));
+
+    if (cart.items.length === before) {
+      return res.status(404).json({ success: false, message: "Item not found in cart" });
+    }
+
+    const warnings = await recalculateCart(cart);
+
+    await sendCart(res, req, cart, "Item removed from cart", warnings);
+  } catch (error) {
+    console.error("Remove Cart Item Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing item from cart",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   CLEAR CART
+   DELETE /api/cart
+============================================================ */
+export const clearCart = async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+
+    cart.items = [];
+    cart.discount = null;
+    cart.discountCode = null;
+
+    await recalculateCart(cart);
+
+    await sendCart(res, req, cart, "Cart cleared");
+  } catch (error) {
+    console.error("Clear Cart Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error clearing cart",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   APPLY DISCOUNT CODE
+   POST /api/cart/discount
+============================================================ */
+export const applyCartDiscount = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: "Discount code is required" });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Add items to your cart before applying a discount",
+      });
+    }
+
+    // Codes are scoped to the shop the cart belongs to
+    const discount = await Discount.findOne({
+      code: code.toUpperCase(),
+      createdBy: cart.shopOwner,
+    });
+
+    if (!discount) {
+      return res.status(404).json({ success: false, message: "Discount code not found" });
+    }
+
+    // Check the code against the actual cart lines before keeping it
+    const { lines } = await loadLineItems(cart.items);
+    const result = await priceCartDiscount(req.user.id, cart.shopOwner, discount, lines);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.reason,
+      });
+    }
+
+    cart.discount = discount._id;
+    cart.discountCode = discount.code;
+
+    const warnings = await recalculateCart(cart);
+
+    await sendCart(res, req, cart, "Discount applied", warnings);
+  } catch (error) {
+    console.error("Apply Cart Discount Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error applying discount",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   REMOVE DISCOUNT CODE
+   DELETE /api/cart/discount
+============================================================ */
+export const removeCartDiscount = async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+
+    cart.discount = null;
+    cart.discountCode = null;
+
+    const warnings = await recalculateCart(cart);
+
+    await sendCart(res, req, cart, "Discount removed", warnings);
+  } catch (error) {
+    console.error("Remove Cart Discount Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing discount",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
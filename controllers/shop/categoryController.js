@@ -2,7 +2,7 @@ import Category from "../../models/shop/Category.js";
 import Product from "../../models/shop/Product.js";
 
 /* ============================================================
-   CREATE CATEGORY (owner only)
+   CREATE CATEGORY (owner or staff with products:write)
 ============================================================ */
 export const createCategory = async (req, res) => {
   try {
@@ -15,7 +15,7 @@ export const createCategory = async (req, res) => {
     // 🔥 FIX: Make category name unique per owner, not globally
     const existing = await Category.findOne({
       name: { $regex: new RegExp(`^${name.trim()}$`, "i") },
-      createdBy: req.user.id,
+      createdBy: req.storeAccess.ownerId,
     });
 
     if (existing) {
@@ -24,7 +24,7 @@ export const createCategory = async (req, res) => {
 
     const category = await Category.create({
       name: name.trim(),
-      createdBy: req.user.id,
+      createdBy: req.storeAccess.ownerId, // Always the store owner, also when staff create it
     });
 
     res.status(201).json({
@@ -47,9 +47,10 @@ export const getCategories = async (req, res) => {
 
     const filter = {};
 
-    // 🔥 CRITICAL FIX: Shop owners only see their own categories
-    if (req.user.role === "shopOwner") {
-      filter.createdBy = req.user.id;
+    // 🔥 CRITICAL FIX: Shop owners and staff only see their store's categories
+    const ownerId = req.storeAccess?.ownerId || null;
+    if (ownerId) {
+      filter.createdBy = ownerId;
     }
     // Admin can see all categories
 
@@ -67,7 +68,7 @@ export const getCategories = async (req, res) => {
         productCount: await Product.countDocuments({ 
           category: c._id,
           // Also filter product count by owner
-          ...(req.user.role === "shopOwner" && { createdBy: req.user.id })
+          ...(ownerId && { createdBy: ownerId })
         }),
       }))
     );
@@ -79,23 +80,50 @@ export const getCategories = async (req, res) => {
   }
 };
 
+/* ============================================================
+   GET STORE CATEGORIES (public storefront)
+   GET /api/stores/public/:slug/categories
+   The store is resolved by resolvePublicStore
+============================================================ */
+export const getPublicCategories = async (req, res) => {
+  try {
+    const userId = req.store.createdBy;
+
+    const categories = await Category.find({ createdBy: userId }).sort({ name: 1 });
+
+    // Only count products shoppers can actually buy
+    const data = await Promise.all(
+      categories.map(async (c) => ({
+        _id: c._id,
+        name: c.name,
+        productCount: await Product.countDocuments({
+          category: c._id,
+          createdBy: userId,
+          stock: { $gt: 0 },
+        }),
+      }))
+    );
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Get Public Categories Error:", error);
+    res.status(500).json({ success: false, message: "Error fetching categories" });
+  }
+};
+
 /* ============================================================
    GET CATEGORY BY ID
+   Loaded and scoped by checkOwnership
 ============================================================ */
 export const getCategoryById = async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id).populate("createdBy", "name");
-    if (!category) return res.status(404).json({ success: false, message: "Category not found" });
-
-    // 🔥 FIX: Verify ownership for shop owners
-    if (req.user.role === "shopOwner" && category.createdBy.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "Access denied" });
-    }
+    const category = req.resource;
+    const ownerId = req.storeAccess?.ownerId || null;
 
     const productCount = await Product.countDocuments({ 
       category: category._id,
-      // Filter by owner if shop owner
-      ...(req.user.role === "shopOwner" && { createdBy: req.user.id })
+      // Filter by owner for shop owners and staff
+      ...(ownerId && { createdBy: ownerId })
     });
 
     res.json({
@@ -109,19 +137,13 @@ export const getCategoryById = async (req, res) => {
 };
 
 /* ============================================================
-   UPDATE CATEGORY (owner only)
+   UPDATE CATEGORY (owner or staff with products:write)
+   Loaded and scoped by checkOwnership
 ============================================================ */
 export const updateCategory = async (req, res) => {
   try {
     const { name } = req.body;
-
-    const category = await Category.findById(req.params.id);
-    if (!category) return res.status(404).json({ success: false, message: "Category not found" });
-
-    // OWNER ONLY
-    if (category.createdBy.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "You do not own this category" });
-    }
+    const category = req.resource;
 
     if (!name?.trim()) {
       return res.status(400).json({ success: false, message: "Category name is required" });
@@ -138,17 +160,12 @@ export const updateCategory = async (req, res) => {
 };
 
 /* ============================================================
-   DELETE CATEGORY (owner only)
+   DELETE CATEGORY (owner or staff with products:write)
+   Loaded and scoped by checkOwnership
 ============================================================ */
 export const deleteCategory = async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
-    if (!category) return res.status(404).json({ message: "Category not found" });
-
-    // OWNER ONLY
-    if (category.createdBy.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: "You do not own this category" });
-    }
+    const category = req.resource;
 
     const productCount = await Product.countDocuments({ category: category._id });
     if (productCount > 0) {
@@ -1,7 +1,21 @@
+import mongoose from "mongoose";
 import Discount from "../../models/shop/Discount.js";
 import Product from "../../models/shop/Product.js";
 import Category from "../../models/shop/Category.js";
-import { deleteFile, getImageUrl } from "../../middleware/shop/discountUploadMiddleware.js";
+import Order from "../../models/shop/Order.js";
+import DiscountRedemption from "../../models/shop/DiscountRedemption.js";
+import DiscountStatusTransition from "../../models/shop/DiscountStatusTransition.js";
+import {
+  calculateDiscount,
+  getCustomerContext,
+  getCustomerIneligibleReason,
+  loadLineItems,
+  claimRedemption,
+} from "../../utils/shop/discountEngine.js";
+import { generateUniqueCodes } from "../../utils/shop/discountCodes.js";
+import { syncDiscountStatuses } from "../../jobs/discountStatusScheduler.js";
+import { deleteFile } from "../../middleware/shop/discountUploadMiddleware.js";
+import { getImageUrl, getImageSizeUrls } from "../../utils/shop/imageUrls.js";
 import path from "path";
 
 // Helper function to compare IDs safely
@@ -27,26 +41,17 @@ const validateDates = (startDate, endDate) => {
   return null;
 };
 
+// Status the dates call for; mirrors the Discount save hook
+const statusForDates = (startDate, endDate) => {
+  const now = new Date();
+  if (now < new Date(startDate)) return "upcoming";
+  if (now > new Date(endDate)) return "expired";
+  return "active";
+};
+
 // Helper to generate unique discount code
-const generateDiscountCode = async (shopOwnerId) => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code;
-  let isUnique = false;
-  
-  while (!isUnique) {
-    code = '';
-    for (let i = 0; i < 8; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    
-    const existing = await Discount.findOne({ 
-      code, 
-      createdBy: shopOwnerId 
-    });
-    
-    if (!existing) isUnique = true;
-  }
-  
+const generateDiscountCode = async () => {
+  const [code] = await generateUniqueCodes(1);
   return code;
 };
 
@@ -97,12 +102,12 @@ export const createDiscount = async (req, res) => {
     // Generate code if not provided
     let discountCode = code;
     if (!discountCode) {
-      discountCode = await generateDiscountCode(req.user.id);
+      discountCode = await generateDiscountCode();
     } else {
       // Check if code already exists for this shop
       const existing = await Discount.findOne({ 
         code: discountCode.toUpperCase(),
-        createdBy: req.user.id 
+        createdBy: req.storeAccess.ownerId 
       });
       if (existing) {
         return res.status(400).json({
@@ -150,7 +155,7 @@ export const createDiscount = async (req, res) => {
       oneTimeUse: oneTimeUse === "true" || oneTimeUse === true,
       combineWithOther: combineWithOther !== "false",
       excludeSaleItems: excludeSaleItems === "true" || excludeSaleItems === true,
-      createdBy: req.user.id,
+      createdBy: req.storeAccess.ownerId,
     };
 
     // Add image if uploaded
@@ -172,7 +177,8 @@ export const createDiscount = async (req, res) => {
       message: "Discount created successfully",
       data: {
         ...discount.toObject(),
-        image: discount.image ? getImageUrl(req, discount.image) : null,
+        image: discount.image ? getImageUrl(req, "discounts", discount.image) : null,
+        imageSizes: getImageSizeUrls(req, "discounts", discount.image),
         daysRemaining: discount.daysRemaining,
         usagePercentage: discount.usagePercentage,
         isActive: discount.isActive,
@@ -204,13 +210,17 @@ export const getDiscounts = async (req, res) => {
       search,
       status,
       type,
+      campaign,
       sortBy = "createdAt",
       sortOrder = "desc",
       page = 1,
       limit = 10,
     } = req.query;
 
-    const filter = { createdBy: req.user.id };
+    // Bring statuses up to date so the status filter matches the dates
+    await syncDiscountStatuses({ createdBy: req.storeAccess.ownerId });
+
+    const filter = { createdBy: req.storeAccess.ownerId };
 
     if (search) {
       filter.$or = [
@@ -228,6 +238,15 @@ export const getDiscounts = async (req, res) => {
       filter.type = type;
     }
 
+    // Campaign codes are listed per campaign, not mixed into the main list
+    if (campaign && !mongoose.isValidObjectId(campaign)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid campaign ID",
+      });
+    }
+    filter.campaign = campaign || null;
+
     const sort = {};
     sort[sortBy] = sortOrder === "desc" ? -1 : 1;
 
@@ -245,7 +264,8 @@ export const getDiscounts = async (req, res) => {
 
     const discountsWithUrls = discounts.map((discount) => ({
       ...discount.toObject(),
-      image: discount.image ? getImageUrl(req, discount.image) : null,
+      image: discount.image ? getImageUrl(req, "discounts", discount.image) : null,
+      imageSizes: getImageSizeUrls(req, "discounts", discount.image),
       daysRemaining: discount.daysRemaining,
       usagePercentage: discount.usagePercentage,
       isActive: discount.isActive,
@@ -281,33 +301,15 @@ export const getDiscountById = async (req, res) => {
     console.log("Discount ID:", req.params.id);
     console.log("User ID:", req.user.id);
 
-    const discount = await Discount.findById(req.params.id)
-      .populate("categories", "name")
-      .populate("products", "name price")
-      .populate("createdBy", "name email");
-
-    if (!discount) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Discount not found" 
-      });
-    }
-
-    // Ownership check for shop owners
-    if (req.user.role === "shopOwner") {
-      if (!compareIds(discount.createdBy, req.user.id)) {
-        return res.status(403).json({ 
-          success: false, 
-          message: "Access denied. You can only view your own discounts." 
-        });
-      }
-    }
+    // Loaded (with categories, products and owner) by checkOwnership
+    const discount = req.resource;
 
     res.json({
       success: true,
       data: {
         ...discount.toObject(),
-        image: discount.image ? getImageUrl(req, discount.image) : null,
+        image: discount.image ? getImageUrl(req, "discounts", discount.image) : null,
+        imageSizes: getImageSizeUrls(req, "discounts", discount.image),
         daysRemaining: discount.daysRemaining,
         usagePercentage: discount.usagePercentage,
         isActive: discount.isActive,
@@ -330,22 +332,8 @@ export const getDiscountById = async (req, res) => {
 export const updateDiscount = async (req, res) => {
   try {
     console.log("=== UPDATE DISCOUNT ===");
-    const discount = await Discount.findById(req.params.id);
-
-    if (!discount) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Discount not found" 
-      });
-    }
-
-    // Ownership check
-    if (!compareIds(discount.createdBy, req.user.id)) {
-      return res.status(403).json({
-        success: false,
-        message: "You do not own this discount",
-      });
-    }
+    // Loaded and ownership checked by checkOwnership
+    const discount = req.resource;
 
     const updateData = { ...req.body };
 
@@ -391,6 +379,11 @@ export const updateDiscount = async (req, res) => {
       updateData.usageLimit = updateData.usageLimit ? parseInt(updateData.usageLimit) : null;
     }
 
+    // Usage counters are only changed through the redemption ledger
+    delete updateData.usedCount;
+    delete updateData.ordersUsed;
+    delete updateData.revenueGenerated;
+
     // Convert date fields
     if (updateData.startDate) updateData.startDate = new Date(updateData.startDate);
     if (updateData.endDate) updateData.endDate = new Date(updateData.endDate);
@@ -417,23 +410,59 @@ export const updateDiscount = async (req, res) => {
       }
     }
 
-    const updatedDiscount = await Discount.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true,
+    // Only pausing is a free choice; any other status has to match the
+    // dates, or the status sync would immediately undo it
+    if (
+      updateData.status !== undefined &&
+      updateData.status !== discount.status &&
+      updateData.status !== "paused"
+    ) {
+      const expected = statusForDates(
+        updateData.startDate || discount.startDate,
+        updateData.endDate || discount.endDate
+      );
+
+      if (updateData.status !== expected) {
+        return res.status(400).json({
+          success: false,
+          message: `Status cannot be set to ${updateData.status}: the discount dates make it ${expected}`,
+        });
       }
-    )
-    .populate("categories", "name")
-    .populate("products", "name price");
+    }
+
+    // findByIdAndUpdate skips the save hook, so keep remainingUses in step here
+    if (updateData.usageLimit !== undefined) {
+      updateData.remainingUses = updateData.usageLimit
+        ? Math.max(0, updateData.usageLimit - discount.usedCount)
+        : null;
+    }
+
+    await Discount.findByIdAndUpdate(req.params.id, updateData, { runValidators: true });
+
+    if (updateData.status && updateData.status !== discount.status) {
+      await DiscountStatusTransition.create({
+        discount: discount._id,
+        from: discount.status,
+        to: updateData.status,
+        source: "manual",
+        changedBy: req.user.id,
+      });
+    }
+
+    // The update skips the save hook, so apply any date-driven status now
+    await syncDiscountStatuses({ _id: discount._id });
+
+    const updatedDiscount = await Discount.findById(req.params.id)
+      .populate("categories", "name")
+      .populate("products", "name price");
 
     res.json({
       success: true,
       message: "Discount updated successfully",
       data: {
         ...updatedDiscount.toObject(),
-        image: updatedDiscount.image ? getImageUrl(req, updatedDiscount.image) : null,
+        image: updatedDiscount.image ? getImageUrl(req, "discounts", updatedDiscount.image) : null,
+        imageSizes: getImageSizeUrls(req, "discounts", updatedDiscount.image),
         daysRemaining: updatedDiscount.daysRemaining,
         usagePercentage: updatedDiscount.usagePercentage,
         isActive: updatedDiscount.isActive,
@@ -462,22 +491,8 @@ export const updateDiscount = async (req, res) => {
 export const deleteDiscount = async (req, res) => {
   try {
     console.log("=== DELETE DISCOUNT ===");
-    const discount = await Discount.findById(req.params.id);
-
-    if (!discount) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Discount not found" 
-      });
-    }
-
-    // Ownership check
-    if (!compareIds(discount.createdBy, req.user.id)) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "You do not own this discount" 
-      });
-    }
+    // Loaded and ownership checked by checkOwnership
+    const discount = req.resource;
 
     // Delete image if exists
     if (discount.image) {
@@ -507,60 +522,112 @@ export const deleteDiscount = async (req, res) => {
 export const updateDiscountUsage = async (req, res) => {
   try {
     console.log("=== UPDATE DISCOUNT USAGE ===");
-    const { orderId, orderAmount } = req.body;
+    const { orderId } = req.body;
 
-    if (!orderId || !orderAmount) {
+    if (!orderId) {
       return res.status(400).json({
         success: false,
-        message: "Order ID and amount are required",
+        message: "Order ID is required",
       });
     }
 
-    const discount = await Discount.findById(req.params.id);
+    // Loaded and ownership checked by checkOwnership
+    const discount = req.resource;
 
-    if (!discount) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Discount not found" 
+    // Usage must come from a real order that applied this discount
+    const order = await Order.findById(orderId);
+
+    const orderDiscount = order?.discounts.find((entry) =>
+      compareIds(entry.discount, discount._id)
+    );
+
+    if (!orderDiscount) {
+      return res.status(404).json({
+        success: false,
+        message: "No order found that used this discount",
       });
     }
 
-    // Check if discount is still valid
-    const now = new Date();
-    const start = new Date(discount.startDate);
-    const end = new Date(discount.endDate);
+    // Cancelling an order gives its discount uses back
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot record discount usage for a cancelled order",
+      });
+    }
+
+    // Segment and one-time use are judged as they were when the order was placed
+    const customerContext = await getCustomerContext(
+      order.customer,
+      discount.createdBy,
+      [discount._id],
+      { before: order.createdAt, excludeOrderId: order._id }
+    );
 
-    if (now < start || now > end || discount.status !== "active") {
+    const customerReason = getCustomerIneligibleReason(discount, customerContext);
+    if (customerReason) {
       return res.status(400).json({
         success: false,
-        message: "Discount is not active",
+        message: customerReason,
       });
     }
 
-    // Check usage limit
-    if (discount.usageLimit && discount.usedCount >= discount.usageLimit) {
+    // Ledger entry and counter together: respects usageLimit and one-time
+    // use, and ignores retries
+    const claim = await claimRedemption(discount, order, {
+      amount: orderDiscount.amount,
+      customerSegment: customerContext.customerSegment,
+      placedAt: order.createdAt,
+    });
+
+    if (claim.status === "already_redeemed") {
+      return res.status(400).json({
+        success: false,
+        message: "This discount has already been used by this customer",
+      });
+    }
+
+    if (claim.status === "limit_reached") {
       return res.status(400).json({
         success: false,
         message: "Discount usage limit reached",
       });
     }
 
-    // Update usage stats
-    discount.usedCount += 1;
-    discount.ordersUsed += 1;
-    discount.revenueGenerated += parseFloat(orderAmount);
+    if (claim.status === "inactive") {
+      return res.status(400).json({
+        success: false,
+        message: "Discount was not valid when this order was placed",
+      });
+    }
+
+    if (claim.status === "not_found") {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Discount not found" 
+      });
+    }
+
+    if (!orderDiscount.usageRecorded) {
+      orderDiscount.usageRecorded = true;
+      await order.save();
+    }
 
-    await discount.save();
+    const updated = claim.discount;
 
     res.json({
       success: true,
-      message: "Discount usage updated",
+      message: claim.status === "duplicate"
+        ? "Discount usage already recorded for this order"
+        : "Discount usage updated",
       data: {
-        id: discount._id,
-        code: discount.code,
-        usedCount: discount.usedCount,
-        remainingUses: discount.remainingUses,
-        revenueGenerated: discount.revenueGenerated,
+        id: updated._id,
+        code: updated.code,
+        orderId: order._id,
+        alreadyRecorded: claim.status === "duplicate",
+        usedCount: updated.usedCount,
+        remainingUses: updated.remainingUses,
+        revenueGenerated: updated.revenueGenerated,
       },
     });
   } catch (error) {
@@ -573,6 +640,84 @@ export const updateDiscountUsage = async (req, res) => {
   }
 };
 
+/* ============================================================
+   LIST DISCOUNT REDEMPTIONS (owner only)
+   GET /api/discounts/:id/redemptions
+============================================================ */
+export const getDiscountRedemptions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    // Loaded and ownership checked by checkOwnership
+    const discount = req.resource;
+
+    // Redemptions of cancelled orders are voided and left out
+    const filter = { discount: discount._id, voided: { $ne: true } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [redemptions, total, uniqueCustomers] = await Promise.all([
+      DiscountRedemption.find(filter)
+        .populate("customer", "name email")
+        .populate("order", "orderNumber total status")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      DiscountRedemption.countDocuments(filter),
+      DiscountRedemption.distinct("customer", filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: redemptions,
+      summary: {
+        code: discount.code,
+        totalRedemptions: total,
+        uniqueCustomers: uniqueCustomers.length,
+      },
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get Discount Redemptions Error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching discount redemptions", 
+      error: error.message 
+    });
+  }
+};
+
+/* ============================================================
+   LIST DISCOUNT STATUS HISTORY (owner only)
+   GET /api/discounts/:id/history
+============================================================ */
+export const getDiscountHistory = async (req, res) => {
+  try {
+    // Loaded and ownership checked by checkOwnership
+    const discount = req.resource;
+
+    const transitions = await DiscountStatusTransition.find({ discount: discount._id })
+      .populate("changedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: transitions,
+    });
+  } catch (error) {
+    console.error("Get Discount History Error:", error);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error fetching discount history", 
+      error: error.message 
+    });
+  }
+};
+
 /* ============================================================
    GET DISCOUNT STATS (owner only)
    GET /api/discounts/stats/summary
@@ -581,8 +726,10 @@ export const getDiscountStats = async (req, res) => {
   try {
     console.log("=== GET DISCOUNT STATS ===");
 
+    await syncDiscountStatuses({ createdBy: req.storeAccess.ownerId });
+
     const stats = await Discount.aggregate([
-      { $match: { createdBy: req.user._id } },
+      { $match: { createdBy: req.storeAccess.ownerId } },
       {
         $group: {
           _id: null,
@@ -647,7 +794,8 @@ export const getDiscountStats = async (req, res) => {
 
 /* ============================================================
    VALIDATE DISCOUNT CODE (for checkout)
-   GET /api/discounts/validate/:code
+   GET  /api/discounts/validate/:code?orderAmount=
+   POST /api/discounts/validate/:code  { items: [{ product, quantity }] }
 ============================================================ */
 export const validateDiscountCode = async (req, res) => {
   try {
@@ -662,9 +810,45 @@ export const validateDiscountCode = async (req, res) => {
       });
     }
 
+    // Line items may be posted in the body or passed as JSON in the query
+    let items = req.body?.items || req.query.items;
+    if (typeof items === "string") {
+      try {
+        items = JSON.parse(items);
+      } catch (e) {
+        items = null;
+      }
+    }
+
+    // With line items the code is looked up in the shop selling them
+    let shopOwnerId = req.user.id;
+    let lines = [];
+
+    if (Array.isArray(items) && items.length > 0) {
+      const loaded = await loadLineItems(items);
+
+      if (loaded.missing.length > 0 || loaded.lines.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "One or more products were not found",
+          data: { missing: loaded.missing },
+        });
+      }
+
+      lines = loaded.lines;
+      shopOwnerId = lines[0].shopOwner;
+
+      if (lines.some((line) => !compareIds(line.shopOwner, shopOwnerId))) {
+        return res.status(400).json({
+          success: false,
+          message: "All items must come from the same store",
+        });
+      }
+    }
+
     const discount = await Discount.findOne({ 
       code: code.toUpperCase(),
-      createdBy: req.user.id 
+      createdBy: shopOwnerId 
     })
     .populate("categories", "name")
     .populate("products", "name price");
@@ -712,6 +896,47 @@ export const validateDiscountCode = async (req, res) => {
       });
     }
 
+    // One-time use and customer segment for the shopper checking the code
+    const customerContext = await getCustomerContext(req.user.id, shopOwnerId, [discount._id]);
+    const customerReason = getCustomerIneligibleReason(discount, customerContext);
+    if (customerReason) {
+      return res.status(400).json({
+        success: false,
+        message: customerReason,
+        data: { customerType: discount.customerType, oneTimeUse: discount.oneTimeUse },
+      });
+    }
+
+    // Line-aware calculation with a per-item breakdown
+    if (lines.length > 0) {
+      const result = calculateDiscount(discount, lines, customerContext);
+
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.reason,
+          data: { lines: result.lines },
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: "Discount code is valid",
+        data: {
+          discount: {
+            ...discount.toObject(),
+            image: discount.image ? getImageUrl(req, "discounts", discount.image) : null,
+            imageSizes: getImageSizeUrls(req, "discounts", discount.image),
+          },
+          orderAmount: result.orderSubtotal,
+          eligibleAmount: result.eligibleSubtotal,
+          discountAmount: result.discountAmount,
+          finalAmount: Math.max(0, Math.round((result.orderSubtotal - result.discountAmount) * 100) / 100),
+          lines: result.lines,
+        },
+      });
+    }
+
     // Check minimum order
     if (orderAmount && discount.minOrder > 0) {
       const orderTotal = parseFloat(orderAmount);
@@ -725,19 +950,8 @@ export const validateDiscountCode = async (req, res) => {
     }
 
     // Calculate discount amount
-    let discountAmount = 0;
-    let finalAmount = 0;
-    
-    if (discount.type === "percentage") {
-      discountAmount = (parseFloat(orderAmount) * discount.value) / 100;
-      if (discount.maxDiscount > 0 && discountAmount > discount.maxDiscount) {
-        discountAmount = discount.maxDiscount;
-      }
-    } else {
-      discountAmount = discount.value;
-    }
-
-    finalAmount = Math.max(0, parseFloat(orderAmount) - discountAmount);
+    const discountAmount = discount.calculateAmount(orderAmount);
+    const finalAmount = Math.max(0, (parseFloat(orderAmount) || 0) - discountAmount);
 
     res.json({
       success: true,
@@ -745,7 +959,8 @@ export const validateDiscountCode = async (req, res) => {
       data: {
         discount: {
           ...discount.toObject(),
-          image: discount.image ? getImageUrl(req, discount.image) : null,
+          image: discount.image ? getImageUrl(req, "discounts", discount.image) : null,
+          imageSizes: getImageSizeUrls(req, "discounts", discount.image),
         },
         discountAmount,
         finalAmount,
@@ -790,23 +1005,58 @@ export const bulkUpdateStatus = async (req, res) => {
     });
 
     const notOwned = discounts.filter(
-      discount => !compareIds(discount.createdBy, req.user.id)
+      discount => !compareIds(discount.createdBy, req.storeAccess.ownerId)
     );
 
     if (notOwned.length > 0) {
       return res.status(403).json({
         success: false,
-        message: "You do not own some of these discounts",
+        message: "Some of these discounts do not belong to your store",
         data: { notOwned: notOwned.map(d => d._id) },
       });
     }
 
+    // Same rule as updateDiscount: only pausing is a free choice, anything
+    // else has to match the dates or the status sync would undo it
+    if (status !== "paused") {
+      const conflicts = discounts
+        .filter(discount => discount.status !== status)
+        .map(discount => ({
+          _id: discount._id,
+          code: discount.code,
+          expected: statusForDates(discount.startDate, discount.endDate),
+        }))
+        .filter(conflict => conflict.expected !== status);
+
+      if (conflicts.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Some discounts cannot be set to ${status} because of their dates`,
+          data: { conflicts },
+        });
+      }
+    }
+
     // Update status
     const result = await Discount.updateMany(
       { _id: { $in: discountIds } },
       { $set: { status } }
     );
 
+    // Record the manual transitions alongside the scheduled ones
+    const transitions = discounts
+      .filter(discount => discount.status !== status)
+      .map(discount => ({
+        discount: discount._id,
+        from: discount.status,
+        to: status,
+        source: "manual",
+        changedBy: req.user.id,
+      }));
+    if (transitions.length > 0) {
+      await DiscountStatusTransition.insertMany(transitions);
+    }
+
     res.json({
       success: true,
       message: `Updated ${result.modifiedCount} discount(s) status to ${status}`,
@@ -0,0 +1,729 @@
+import mongoose from "mongoose";
+import Order from "../../models/shop/Order.js";
+import Product from "../../models/shop/Product.js";
+import Discount from "../../models/shop/Discount.js";
+import Store from "../../models/shop/Store.js";
+import { getImageUrl } from "../../utils/shop/imageUrls.js";
+import {
+  applyDiscounts,
+  getCustomerContext,
+  claimRedemption,
+  releaseRedemption,
+  voidRedemptions,
+} from "../../utils/shop/discountEngine.js";
+
+// Allowed status changes for shop owners
+const STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+// Statuses an owner can still cancel from
+const CANCELLABLE_STATUSES = Object.keys(STATUS_TRANSITIONS).filter((status) =>
+  STATUS_TRANSITIONS[status].includes("cancelled")
+);
+
+// Helper function to compare IDs safely
+const compareIds = (id1, id2) => {
+  if (!id1 || !id2) return false;
+  return id1.toString() === id2.toString();
+};
+
+// Round money values to cents
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Add image URLs to an order for the response
+const formatOrder = (order, req) => {
+  const orderObj = order.toObject ? order.toObject() : { ...order };
+
+  orderObj.items = (orderObj.items || []).map((item) => ({
+    ...item,
+    image: item.image ? getImageUrl(req, "products", item.image) : null,
+  }));
+
+  return orderObj;
+};
+
+// Give back stock that was taken for the given order items
+const restoreStock = async (items) => {
+  await Promise.all(
+    items.map((item) => Product.returnStock(item.product, item.variant, item.quantity))
+  );
+};
+
+// Give back discount uses claimed for an order that was never saved
+const releaseClaims = async (discounts, orderId) => {
+  await Promise.all(
+    discounts.map((discount) => releaseRedemption(discount._id, orderId))
+  );
+};
+
+/**
+ * Cancel an order if it is still in one of `fromStatuses`, then return its
+ * stock and discount uses, void its discount redemptions and roll back
+ * store statistics. The status check and change are one conditional update,
+ * so concurrent cancels only restock once. Resolves to the cancelled order,
+ * or null when the order had already moved on.
+ */
+const cancelAndRestock = async (orderId, reason, fromStatuses) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: fromStatuses } },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelReason: reason || "",
+      },
+    },
+    { new: true }
+  );
+
+  if (!order) return null;
+
+  // Only this call got here, so the rest runs once per order
+  order.discounts.forEach((entry) => {
+    entry.usageRecorded = false;
+  });
+  if (order.isModified()) await order.save();
+
+  await restoreStock(order.items);
+  await voidRedemptions(order._id);
+
+  if (order.store) {
+    await Store.updateOne(
+      { _id: order.store },
+      {
+        $inc: {
+          "statistics.totalOrders": -1,
+          "statistics.totalRevenue": -order.total,
+        },
+      }
+    );
+  }
+
+  return order;
+};
+
+// Accept discountCodes as an array or comma list, plus legacy discountCode
+const normalizeCodes = (discountCodes, discountCode) => {
+  const codes = Array.isArray(discountCodes)
+    ? discountCodes
+    : typeof discountCodes === "string"
+      ? discountCodes.split(",")
+      : [];
+  if (discountCode) codes.push(discountCode);
+
+  return codes
+    .map((code) => String(code).trim().toUpperCase())
+    .filter(Boolean);
+};
+
+/**
+ * Validate checkout items, price them from the database and resolve the
+ * discount codes. Returns { error } with a status and message when the
+ * checkout cannot go ahead.
+ */
+const priceOrder = async (items, codes, userId) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: { status: 400, message: "Order items are required" } };
+  }
+
+  // Merge duplicate lines for the same product and variant
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = parseInt(item?.quantity);
+    if (!mongoose.isValidObjectId(item?.product) || !quantity || quantity < 1) {
+      return {
+        error: {
+          status: 400,
+          message: "Each item needs a valid product and a quantity of at least 1",
+        },
+      };
+    }
+    if (item.variant && !mongoose.isValidObjectId(item.variant)) {
+      return { error: { status: 400, message: "Invalid variant" } };
+    }
+    const key = `${item.product}:${item.variant || ""}`;
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  }
+
+  const productIds = [...new Set([...quantities.keys()].map((key) => key.split(":")[0]))];
+  const products = await Product.find({ _id: { $in: productIds } });
+
+  if (products.length !== productIds.length) {
+    return { error: { status: 404, message: "One or more products were not found" } };
+  }
+
+  // An order belongs to exactly one shop
+  const shopOwnerId = products[0].createdBy;
+  if (products.some((p) => !compareIds(p.createdBy, shopOwnerId))) {
+    return {
+      error: { status: 400, message: "All items in an order must come from the same store" },
+    };
+  }
+
+  if (compareIds(shopOwnerId, userId)) {
+    return { error: { status: 400, message: "You cannot order from your own store" } };
+  }
+
+  if (await Store.exists({ createdBy: shopOwnerId, suspended: true })) {
+    return { error: { status: 400, message: "This store is not accepting orders right now" } };
+  }
+
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  // Resolve each line to its product and, where needed, its variant
+  const resolved = [];
+  for (const [key, quantity] of quantities) {
+    const [productId, variantId] = key.split(":");
+    const product = productMap.get(productId);
+    const variant = variantId ? product.variants.id(variantId) : null;
+
+    if (product.variants.length > 0 && !variant) {
+      return {
+        error: {
+          status: 400,
+          message: variantId
+            ? `The chosen option of ${product.name} is no longer available`
+            : `Choose an option for ${product.name}`,
+        },
+      };
+    }
+    if (product.variants.length === 0 && variantId) {
+      return { error: { status: 400, message: `${product.name} has no options to choose from` } };
+    }
+
+    resolved.push({ product, variant, quantity });
+  }
+
+  const outOfStock = resolved.filter(
+    ({ product, variant, quantity }) => (variant || product).stock < quantity
+  );
+  if (outOfStock.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: "Some items do not have enough stock",
+        data: {
+          items: outOfStock.map(({ product, variant, quantity }) => ({
+            product: product._id,
+            variant: variant?._id || null,
+            name: product.name,
+            available: (variant || product).stock,
+            requested: quantity,
+          })),
+        },
+      },
+    };
+  }
+
+  // Prices always come from the database, never from the client
+  const orderItems = resolved.map(({ product, variant, quantity }) => {
+    const { price } = product.getPricing(variant);
+    const variantLabel = product.getVariantLabel(variant);
+    return {
+      product: product._id,
+      variant: variant?._id || null,
+      sku: variant?.sku || null,
+      variantLabel,
+      name: variantLabel ? `${product.name} (${variantLabel})` : product.name,
+      image: variant?.image || product.frontImage,
+      price,
+      quantity,
+      subtotal: roundMoney(price * quantity),
+      discountAmount: 0,
+    };
+  });
+
+  const subtotal = roundMoney(
+    orderItems.reduce((sum, item) => sum + item.subtotal, 0)
+  );
+
+  const store = await Store.findOne({ createdBy: shopOwnerId });
+
+  // Resolve discount codes: scope, segment, stacking and store cap
+  let discountResult = { applied: [], rejected: [], discountAmount: 0, capped: false };
+
+  if (codes.length > 0) {
+    const discounts = await Discount.find({
+      code: { $in: codes },
+      createdBy: shopOwnerId,
+    });
+    const byCode = new Map(discounts.map((d) => [d.code, d]));
+
+    const notFound = codes
+      .filter((code) => !byCode.has(code))
+      .map((code) => ({ code, reason: "Discount code not found" }));
+
+    const lines = orderItems.map((item, index) => ({
+      ...item,
+      category: resolved[index].product.category,
+      compareAtPrice: resolved[index].product.getPricing(resolved[index].variant).compareAtPrice,
+    }));
+
+    const customerContext = await getCustomerContext(
+      userId,
+      shopOwnerId,
+      discounts.map((d) => d._id)
+    );
+    discountResult = applyDiscounts(
+      codes.filter((code) => byCode.has(code)).map((code) => byCode.get(code)),
+      lines,
+      {
+        ...customerContext,
+        maxStackedCodes: store?.discountSettings?.maxStackedCodes,
+        maxDiscountPercent: store?.discountSettings?.maxDiscountPercent,
+      }
+    );
+    discountResult.rejected = [...notFound, ...discountResult.rejected];
+    discountResult.customerSegment = customerContext.customerSegment;
+
+    discountResult.lineDiscounts.forEach((amount, index) => {
+      orderItems[index].discountAmount = amount;
+    });
+  }
+
+  const discountAmount = discountResult.discountAmount;
+  const total = roundMoney(Math.max(0, subtotal - discountAmount));
+
+  return { store, shopOwnerId, orderItems, subtotal, discountResult, discountAmount, total };
+};
+
+// Explain which codes were applied or rejected
+const summarizeDiscounts = (discountResult) => ({
+  applied: discountResult.applied.map((entry) => ({
+    code: entry.code,
+    type: entry.type,
+    value: entry.value,
+    amount: entry.amount,
+    capped: !!entry.capped,
+  })),
+  rejected: discountResult.rejected,
+  capped: discountResult.capped,
+});
+
+/* ============================================================
+   PREVIEW ORDER TOTALS (no stock is taken)
+   POST /api/orders/preview
+============================================================ */
+export const previewOrder = async (req, res) => {
+  try {
+    const { items, discountCodes, discountCode } = req.body;
+    const codes = normalizeCodes(discountCodes, discountCode);
+
+    const pricing = await priceOrder(items, codes, req.user.id);
+    if (pricing.error) {
+      return res.status(pricing.error.status).json({
+        success: false,
+        message: pricing.error.message,
+        data: pricing.error.data,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        items: pricing.orderItems.map((item) => ({
+          ...item,
+          image: item.image ? getImageUrl(req, "products", item.image) : null,
+        })),
+        subtotal: pricing.subtotal,
+        discountAmount: pricing.discountAmount,
+        total: pricing.total,
+        discounts: summarizeDiscounts(pricing.discountResult),
+      },
+    });
+  } catch (error) {
+    console.error("Preview Order Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error calculating order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   CREATE ORDER (checkout)
+   POST /api/orders
+============================================================ */
+export const createOrder = async (req, res) => {
+  // Items whose stock has been taken but not yet committed to an order
+  const reserved = [];
+  // Discount uses claimed for this order but not yet committed
+  const claimed = [];
+  // Chosen up front so discount claims can be keyed on it
+  const orderId = new mongoose.Types.ObjectId();
+
+  try {
+    console.log("=== CREATE ORDER ===");
+    const { items, discountCodes, discountCode, shippingAddress, notes } = req.body;
+    const codes = normalizeCodes(discountCodes, discountCode);
+
+    const pricing = await priceOrder(items, codes, req.user.id);
+    if (pricing.error) {
+      return res.status(pricing.error.status).json({
+        success: false,
+        message: pricing.error.message,
+        data: pricing.error.data,
+      });
+    }
+
+    const { store, shopOwnerId, orderItems, subtotal, discountResult, discountAmount, total } = pricing;
+
+    // Take stock atomically so concurrent checkouts cannot oversell
+    for (const item of orderItems) {
+      const updated = await Product.takeStock(item.product, item.variant, item.quantity);
+
+      if (!updated) {
+        await restoreStock(reserved);
+        reserved.length = 0;
+        return res.status(409).json({
+          success: false,
+          message: `Not enough stock for ${item.name}`,
+        });
+      }
+
+      reserved.push(item);
+    }
+
+    // Claim each discount use atomically, ledger entry included, before the
+    // order exists: neither the usage limit nor one-time use can be passed
+    for (const entry of discountResult.applied) {
+      const claim = await claimRedemption(
+        entry.discount,
+        { _id: orderId, customer: req.user.id, total },
+        { amount: entry.amount, customerSegment: discountResult.customerSegment }
+      );
+
+      if (claim.status !== "recorded") {
+        await releaseClaims(claimed, orderId);
+        claimed.length = 0;
+        await restoreStock(reserved);
+        reserved.length = 0;
+        return res.status(409).json({
+          success: false,
+          message: claim.status === "already_redeemed"
+            ? `You have already used discount ${entry.code}`
+            : claim.status === "inactive"
+              ? `Discount ${entry.code} is no longer active. Please try again.`
+              : `Discount ${entry.code} has just reached its usage limit. Please try again.`,
+        });
+      }
+
+      claimed.push(entry.discount);
+    }
+
+    const isNewCustomer = !(await Order.exists({
+      customer: req.user.id,
+      shopOwner: shopOwnerId,
+    }));
+
+    const order = await Order.create({
+      _id: orderId,
+      orderNumber: Order.generateOrderNumber(),
+      customer: req.user.id,
+      shopOwner: shopOwnerId,
+      store: store?._id || null,
+      items: orderItems,
+      subtotal,
+      discounts: discountResult.applied.map((entry) => ({
+        discount: entry.discount._id,
+        code: entry.code,
+        type: entry.type,
+        value: entry.value,
+        amount: entry.amount,
+        usageRecorded: true,
+      })),
+      discountAmount,
+      total,
+      shippingAddress: shippingAddress || {},
+      notes: notes || "",
+    });
+
+    // Stock and discount uses now belong to the saved order
+    reserved.length = 0;
+    claimed.length = 0;
+
+    // Keep store statistics in sync with real orders
+    if (store) {
+      await Store.updateOne(
+        { _id: store._id },
+        {
+          $inc: {
+            "statistics.totalOrders": 1,
+            "statistics.totalRevenue": order.total,
+            "statistics.customerCount": isNewCustomer ? 1 : 0,
+          },
+        }
+      );
+    }
+
+    console.log("✅ Order created:", order.orderNumber);
+
+    res.status(201).json({
+      success: true,
+      message: "Order placed successfully",
+      data: formatOrder(order, req),
+      discounts: summarizeDiscounts(discountResult),
+    });
+  } catch (error) {
+    console.error("Create Order Error:", error);
+
+    // Give back any stock and discount uses taken before the failure
+    if (reserved.length > 0) {
+      await restoreStock(reserved);
+    }
+    if (claimed.length > 0) {
+      await releaseClaims(claimed, orderId);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   GET MY ORDERS (orders I placed)
+   GET /api/orders/my-orders
+============================================================ */
+export const getMyOrders = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = { customer: req.user.id };
+    if (status && status !== "all") filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate("store", "name logo")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Order.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: orders.map((order) => formatOrder(order, req)),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get My Orders Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching orders",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   GET STORE ORDERS (owner sees own, admin sees all)
+   GET /api/orders
+============================================================ */
+export const getOrders = async (req, res) => {
+  try {
+    const {
+      search,
+      status,
+      paymentStatus,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    const filter = {};
+
+    // Shop owners only see orders for their own products
+    if (req.user.role === "shopOwner") {
+      filter.shopOwner = req.user.id;
+    }
+
+    if (search) {
+      filter.orderNumber = { $regex: search, $options: "i" };
+    }
+
+    if (status && status !== "all") filter.status = status;
+    if (paymentStatus && paymentStatus !== "all") filter.paymentStatus = paymentStatus;
+
+    const sort = {};
+    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate("customer", "name email")
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Order.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: orders.map((order) => formatOrder(order, req)),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get Orders Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching orders",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   GET SINGLE ORDER (customer, shop owner or admin)
+   GET /api/orders/:id
+   Loaded and scoped by checkOwnership
+============================================================ */
+export const getOrderById = async (req, res) => {
+  try {
+    const order = req.resource;
+
+    res.json({
+      success: true,
+      data: formatOrder(order, req),
+    });
+  } catch (error) {
+    console.error("Get Order Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   UPDATE ORDER STATUS (owner only)
+   PATCH /api/orders/:id/status
+   Loaded and scoped by checkOwnership
+============================================================ */
+export const updateOrderStatus = async (req, res) => {
+  try {
+    console.log("=== UPDATE ORDER STATUS ===");
+    const { status, paymentStatus, reason } = req.body;
+    const order = req.resource;
+    let updated = order;
+
+    if (paymentStatus !== undefined && !["unpaid", "paid", "refunded"].includes(paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment status value",
+      });
+    }
+
+    if (status !== undefined && status !== order.status) {
+      const allowed = STATUS_TRANSITIONS[order.status] || [];
+      if (!allowed.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change order status from ${order.status} to ${status}`,
+          data: { allowed },
+        });
+      }
+
+      // Conditional on the status just checked, so a concurrent change
+      // (e.g. the customer cancelling) is never overwritten
+      updated = status === "cancelled"
+        ? await cancelAndRestock(order._id, reason, CANCELLABLE_STATUSES)
+        : await Order.findOneAndUpdate(
+          { _id: order._id, status: order.status },
+          { $set: { status } },
+          { new: true }
+        );
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: "Order status was changed in the meantime. Please reload and try again.",
+        });
+      }
+    }
+
+    if (paymentStatus !== undefined) {
+      updated.paymentStatus = paymentStatus;
+      await updated.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Order updated successfully",
+      data: formatOrder(updated, req),
+    });
+  } catch (error) {
+    console.error("Update Order Status Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   CANCEL MY ORDER (customer, while still pending)
+   PATCH /api/orders/:id/cancel
+   Loaded and scoped by checkOwnership
+============================================================ */
+export const cancelOrder = async (req, res) => {
+  try {
+    console.log("=== CANCEL ORDER ===");
+    const { reason } = req.body;
+    const order = req.resource;
+
+    if (order.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Order is already ${order.status} and can no longer be cancelled`,
+      });
+    }
+
+    const cancelled = await cancelAndRestock(order._id, reason, ["pending"]);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: "Order can no longer be cancelled",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: formatOrder(cancelled, req),
+    });
+  } catch (error) {
+    console.error("Cancel Order Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
@@ -1,21 +1,9 @@
-import Product from "../../models/shop/Product.js";
+import mongoose from "mongoose";
+import Product, { LOW_STOCK_THRESHOLD } from "../../models/shop/Product.js";
 import Category from "../../models/shop/Category.js";
+import Store from "../../models/shop/Store.js";
 import { deleteFile } from "../../middleware/shop/uploadMiddleware.js";
-
-// Build correct image URL
-const getImageUrl = (req, filename) => {
-  if (!filename) return null;
-  
-  // Debug logging
-  console.log("🔗 Generating image URL for:", filename);
-  console.log("  Protocol:", req.protocol);
-  console.log("  Host:", req.get("host"));
-  
-  const url = `${req.protocol}://${req.get("host")}/uploads/products/${filename}`;
-  console.log("  Full URL:", url);
-  
-  return url;
-};
+import { getImageUrl, getImageSizeUrls } from "../../utils/shop/imageUrls.js";
 
 // Helper function to compare IDs safely
 const compareIds = (id1, id2) => {
@@ -23,15 +11,150 @@ const compareIds = (id1, id2) => {
   return id1.toString() === id2.toString();
 };
 
+// Multipart bodies send arrays and objects as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * Build option definitions and variants from the request body.
+ * Variant images come from the `variantImages` upload field and are picked
+ * by `imageIndex`; existing variants (matched by _id) keep their image.
+ * Returns { options, variants, removedImages } or { error }.
+ */
+const buildVariants = async (req, product = null) => {
+  const rawOptions = parseJsonField(req.body.options);
+  const rawVariants = parseJsonField(req.body.variants);
+
+  if (rawOptions !== undefined && !Array.isArray(rawOptions)) {
+    return { error: "Options must be an array" };
+  }
+  if (rawVariants !== undefined && !Array.isArray(rawVariants)) {
+    return { error: "Variants must be an array" };
+  }
+
+  const options = rawOptions
+    ? rawOptions.map((o) => ({
+        name: String(o?.name || "").trim(),
+        values: [...new Set((o?.values || []).map((v) => String(v).trim()).filter(Boolean))],
+      }))
+    : (product?.options || []).map((o) => ({ name: o.name, values: [...o.values] }));
+
+  if (options.some((o) => !o.name || o.values.length === 0)) {
+    return { error: "Each option needs a name and at least one value" };
+  }
+
+  const uploaded = req.files?.variantImages || [];
+  const usedImages = new Set();
+
+  const variants = [];
+  for (const raw of rawVariants || product?.variants || []) {
+    const existing = raw._id && product ? product.variants.id(raw._id) : null;
+    const optionValues = raw.optionValues instanceof Map
+      ? Object.fromEntries(raw.optionValues)
+      : raw.optionValues || {};
+
+    const variant = {
+      sku: String(raw.sku || "").trim().toUpperCase(),
+      optionValues,
+      price: raw.price !== undefined && raw.price !== null && raw.price !== ""
+        ? parseFloat(raw.price)
+        : null,
+      compareAtPrice: raw.compareAtPrice ? parseFloat(raw.compareAtPrice) : null,
+      stock: Math.max(0, parseInt(raw.stock) || 0),
+      image: existing?.image || null,
+    };
+    if (existing) variant._id = existing._id;
+
+    if (raw.imageIndex !== undefined && raw.imageIndex !== null) {
+      const file = uploaded[parseInt(raw.imageIndex)];
+      if (!file) return { error: `No uploaded image at index ${raw.imageIndex}` };
+      variant.image = file.filename;
+    } else if (raw.removeImage === true || raw.removeImage === "true") {
+      variant.image = null;
+    }
+
+    if (variant.image) usedImages.add(variant.image);
+    variants.push(variant);
+  }
+
+  const error = Product.validateVariants(options, variants);
+  if (error) return { error };
+
+  // SKUs are unique across the shop, not just this product
+  if (variants.length > 0) {
+    const ownerId = product?.createdBy || req.storeAccess.ownerId;
+    const clash = await Product.findOne({
+      createdBy: ownerId,
+      ...(product && { _id: { $ne: product._id } }),
+      "variants.sku": { $in: variants.map((v) => v.sku) },
+    }).select("name");
+
+    if (clash) return { error: `One or more SKUs are already used by ${clash.name}` };
+  }
+
+  // Old variant images that are no longer referenced
+  const removedImages = (product?.variants || [])
+    .map((v) => v.image)
+    .filter((image) => image && !usedImages.has(image));
+
+  return { options, variants, removedImages };
+};
+
+// Delete every file uploaded with a failed request so none are orphaned
+const cleanupUploads = async (req) => {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  for (const file of files) {
+    await deleteFile(file.filename);
+  }
+};
+
+// Alt text for uploaded gallery images, sent as a JSON array or a single string
+const parseAltTexts = (value) => {
+  const parsed = parseJsonField(value);
+  if (Array.isArray(parsed)) return parsed.map((alt) => String(alt ?? ""));
+  return typeof value === "string" && parsed === undefined ? [value] : [];
+};
+
+// Respond 400 to a Mongoose ValidationError, e.g. from the variant rules;
+// returns false for any other error
+const sendValidationError = (res, error) => {
+  if (error?.name !== "ValidationError") return false;
+
+  res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map((e) => e.message).join(", "),
+  });
+  return true;
+};
+
+// The product checkOwnership loaded, with its gallery ready to edit
+const getGalleryProduct = (req) => {
+  const product = req.resource;
+
+  // Older products only have front/back images
+  product.migrateLegacyImages();
+
+  return product;
+};
+
 /* ============================================================
    CREATE PRODUCT (owner only)
    POST /api/products
 ============================================================ */
 export const createProduct = async (req, res) => {
   try {
-    const { name, category, price, stock, description } = req.body;
+    const { name, category, price, compareAtPrice, stock, description } = req.body;
+    const hasVariants = req.body.variants !== undefined;
 
-    if (!name || !category || !price || !stock) {
+    // Variant products take their stock from the variants
+    if (!name || !category || !price || (!stock && !hasVariants)) {
+      await cleanupUploads(req);
       return res.status(400).json({
         success: false,
         message: "Name, category, price, and stock are required",
@@ -40,13 +163,26 @@ export const createProduct = async (req, res) => {
 
     const categoryExists = await Category.findById(category);
     if (!categoryExists) {
+      await cleanupUploads(req);
       return res.status(404).json({ success: false, message: "Category not found" });
     }
 
-    if (!req.files || !req.files.frontImage) {
+    // Gallery order: front, back, then any extra images
+    const altTexts = parseAltTexts(req.body.alts);
+    const images = [
+      ...(req.files?.frontImage || []).map((file) => ({ filename: file.filename, alt: name })),
+      ...(req.files?.backImage || []).map((file) => ({ filename: file.filename, alt: "" })),
+      ...(req.files?.images || []).map((file, index) => ({
+        filename: file.filename,
+        alt: altTexts[index] || "",
+      })),
+    ];
+
+    if (images.length === 0) {
+      await cleanupUploads(req);
       return res.status(400).json({
         success: false,
-        message: "Front image is required",
+        message: "At least one product image is required",
       });
     }
 
@@ -54,14 +190,23 @@ export const createProduct = async (req, res) => {
       name,
       category,
       price: parseFloat(price),
-      stock: parseInt(stock),
+      compareAtPrice: compareAtPrice ? parseFloat(compareAtPrice) : null,
+      stock: parseInt(stock) || 0,
       description: description || "",
-      frontImage: req.files.frontImage[0].filename,
-      createdBy: req.user.id, // OWNER ONLY
+      images,
+      frontImage: images[0].filename,
+      backImage: images[1]?.filename || null,
+      createdBy: req.storeAccess.ownerId, // Always the store owner, also when staff create it
     };
 
-    if (req.files.backImage) {
-      productData.backImage = req.files.backImage[0].filename;
+    if (hasVariants || req.body.options !== undefined) {
+      const variantData = await buildVariants(req);
+      if (variantData.error) {
+        await cleanupUploads(req);
+        return res.status(400).json({ success: false, message: variantData.error });
+      }
+      productData.options = variantData.options;
+      productData.variants = variantData.variants;
     }
 
     const product = await Product.create(productData);
@@ -70,24 +215,14 @@ export const createProduct = async (req, res) => {
     res.status(201).json({
       success: true,
       message: "Product created successfully",
-      data: {
-        ...product.toObject(),
-        frontImage: getImageUrl(req, product.frontImage),
-        backImage: product.backImage ? getImageUrl(req, product.backImage) : null,
-      },
+      data: formatProduct(req, product),
     });
   } catch (error) {
     console.error("Create Product Error:", error);
 
     // Clean up uploaded files on error
-    if (req.files) {
-      if (req.files.frontImage) {
-        await deleteFile(req.files.frontImage[0].filename);
-      }
-      if (req.files.backImage) {
-        await deleteFile(req.files.backImage[0].filename);
-      }
-    }
+    await cleanupUploads(req);
+    if (sendValidationError(res, error)) return;
 
     res.status(500).json({ 
       success: false, 
@@ -97,89 +232,142 @@ export const createProduct = async (req, res) => {
   }
 };
 
+// Build the product filter shared by the dashboard and public storefront
+const buildProductFilter = async (query, ownerId) => {
+  const { search, category, minPrice, maxPrice, lowStock } = query;
+
+  const filter = {};
+
+  if (ownerId) {
+    filter.createdBy = ownerId;
+  }
+
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { description: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  if (category && category !== "All") {
+    const categoryDoc = await Category.findOne({
+      name: category,
+      ...(ownerId && { createdBy: ownerId }),
+    });
+    if (categoryDoc) filter.category = categoryDoc._id;
+  }
+
+  if (minPrice || maxPrice) {
+    filter.price = {};
+    if (minPrice) filter.price.$gte = parseFloat(minPrice);
+    if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+  }
+
+  // A product is low when it, or any of its variants, is running out
+  if (lowStock === "true") {
+    filter.$and = [
+      {
+        $or: [
+          { "variants.0": { $exists: false }, stock: { $lte: LOW_STOCK_THRESHOLD } },
+          { variants: { $elemMatch: { stock: { $lte: LOW_STOCK_THRESHOLD } } } },
+        ],
+      },
+    ];
+  }
+
+  return filter;
+};
+
+// Add full image URLs to a product document
+const formatProduct = (req, p) => {
+  // flattenMaps keeps variant optionValues as plain objects in JSON
+  const productObj = p.toObject({ flattenMaps: true });
+
+  return {
+    ...productObj,
+    frontImage: getImageUrl(req, "products", p.frontImage),
+    backImage: p.backImage ? getImageUrl(req, "products", p.backImage) : null,
+    coverImage: p.coverImage ? getImageUrl(req, "products", p.coverImage) : null,
+    coverImageSizes: getImageSizeUrls(req, "products", p.coverImage),
+    images: (productObj.images || []).map((image) => ({
+      ...image,
+      url: getImageUrl(req, "products", image.filename),
+      sizes: getImageSizeUrls(req, "products", image.filename),
+    })),
+    variants: (productObj.variants || []).map((variant) => ({
+      ...variant,
+      label: p.getVariantLabel(p.variants.id(variant._id)),
+      effectivePrice: p.getPricing(variant).price,
+      image: variant.image ? getImageUrl(req, "products", variant.image) : null,
+      imageSizes: getImageSizeUrls(req, "products", variant.image),
+      isLowStock: variant.stock <= LOW_STOCK_THRESHOLD,
+    })),
+  };
+};
+
+// Storefront version: leaves out createdBy, the owner's user id
+const formatPublicProduct = (req, p) => {
+  const { createdBy, ...product } = formatProduct(req, p);
+  return product;
+};
+
+// Sort, paginate and format a product query
+const listProducts = async (req, filter, format = formatProduct) => {
+  const {
+    sortBy = "createdAt",
+    sortOrder = "desc",
+    page = 1,
+    limit = 10,
+  } = req.query;
+
+  const sort = {};
+  sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .populate("category", "name")
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Product.countDocuments(filter),
+  ]);
+
+  return {
+    data: products.map((p) => format(req, p)),
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
 /* ============================================================
    GET ALL PRODUCTS (everyone can see)
    GET /api/products
 ============================================================ */
 export const getProducts = async (req, res) => {
   try {
-    const {
-      search,
-      category,
-      minPrice,
-      maxPrice,
-      lowStock,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-      page = 1,
-      limit = 10,
-    } = req.query;
-
-    const filter = {};
-
-    // Filter by shop owner's products
-    if (req.user.role === "shopOwner") {
-      filter.createdBy = req.user.id;
-    }
+    // Owners and staff see their store's products
     // Admin can see all products (no filter)
+    const ownerId = req.storeAccess?.ownerId || null;
 
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    if (category && category !== "All") {
-      if (req.user.role === "shopOwner") {
-        const categoryDoc = await Category.findOne({
-          name: category,
-          createdBy: req.user.id
-        });
-        if (categoryDoc) filter.category = categoryDoc._id;
-      } else {
-        const categoryDoc = await Category.findOne({ name: category });
-        if (categoryDoc) filter.category = categoryDoc._id;
-      }
-    }
+    const filter = await buildProductFilter(req.query, ownerId);
 
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+    // Shoppers do not see products of suspended stores
+    if (!ownerId && req.user.role !== "admin") {
+      filter.createdBy = { $nin: await Store.getSuspendedOwnerIds() };
     }
 
-    if (lowStock === "true") filter.stock = { $lte: 5 };
-
-    const sort = {};
-    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const [products, total] = await Promise.all([
-      Product.find(filter)
-        .populate("category", "name")
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Product.countDocuments(filter),
-    ]);
-
-    const productsWithImages = products.map((p) => ({
-      ...p.toObject(),
-      frontImage: getImageUrl(req, p.frontImage),
-      backImage: p.backImage ? getImageUrl(req, p.backImage) : null,
-    }));
+    const { data, pagination } = await listProducts(req, filter);
 
     res.json({
       success: true,
-      data: productsWithImages,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / limit),
-      },
+      data,
+      pagination,
     });
   } catch (error) {
     console.error("Get Products Error:", error);
@@ -191,6 +379,74 @@ export const getProducts = async (req, res) => {
   }
 };
 
+/* ============================================================
+   GET STORE PRODUCTS (public storefront)
+   GET /api/stores/public/:slug/products
+   The store is resolved by resolvePublicStore
+============================================================ */
+export const getPublicProducts = async (req, res) => {
+  try {
+    const ownerId = req.store.createdBy;
+
+    // Shoppers only ever see in-stock items
+    const { lowStock, ...query } = req.query;
+    const filter = await buildProductFilter(query, ownerId);
+    filter.stock = { $gt: 0 };
+
+    const { data, pagination } = await listProducts(req, filter, formatPublicProduct);
+
+    res.json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    console.error("Get Public Products Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching products",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   GET SINGLE STORE PRODUCT (public storefront)
+   GET /api/stores/public/:slug/products/:productId
+   The store is resolved by resolvePublicStore
+============================================================ */
+export const getPublicProductById = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const product = await Product.findOne({
+      _id: productId,
+      createdBy: req.store.createdBy,
+      stock: { $gt: 0 },
+    }).populate("category", "name");
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    res.json({
+      success: true,
+      data: formatPublicProduct(req, product),
+    });
+  } catch (error) {
+    console.error("Get Public Product Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching product",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /* ============================================================
    GET SINGLE PRODUCT
    GET /api/products/:id
@@ -202,45 +458,21 @@ export const getProductById = async (req, res) => {
     console.log("Current user ID:", req.user.id);
     console.log("Current user role:", req.user.role);
 
-    const product = await Product.findById(req.params.id)
-      .populate("category", "name")
-      .populate("createdBy", "name email");
-
-    if (!product) {
-      console.log("❌ Product not found");
-      return res.status(404).json({ success: false, message: "Product not found" });
-    }
-
+    // Loaded by checkOwnership; owners and staff only reach their store's products
+    const product = req.resource;
     console.log("Product found. Created by:", product.createdBy);
 
-    // Ownership check for shop owners
-    if (req.user.role === "shopOwner") {
-      const productOwnerId = product.createdBy._id ? product.createdBy._id.toString() : product.createdBy.toString();
-      const currentUserId = req.user.id.toString();
-      
-      console.log("=== OWNERSHIP VERIFICATION ===");
-      console.log("Product Owner ID:", productOwnerId);
-      console.log("Current User ID:", currentUserId);
-      console.log("IDs Match?", productOwnerId === currentUserId);
-      
-      if (!compareIds(product.createdBy._id || product.createdBy, req.user.id)) {
-        console.log("❌ ACCESS DENIED: Product does not belong to current user");
-        return res.status(403).json({ 
-          success: false, 
-          message: "Access denied. You can only view your own products." 
-        });
+    // Shoppers cannot open products of a suspended store
+    if (!req.storeAccess && req.user.role !== "admin") {
+      const suspended = await Store.exists({ createdBy: product.createdBy?._id || null, suspended: true });
+      if (suspended) {
+        return res.status(404).json({ success: false, message: "Product not found" });
       }
-      
-      console.log("✅ ACCESS GRANTED: Product belongs to current user");
     }
 
     res.json({
       success: true,
-      data: {
-        ...product.toObject(),
-        frontImage: getImageUrl(req, product.frontImage),
-        backImage: product.backImage ? getImageUrl(req, product.backImage) : null,
-      },
+      data: formatProduct(req, product),
     });
   } catch (error) {
     console.error("Get Product Error:", error);
@@ -263,52 +495,90 @@ export const updateProduct = async (req, res) => {
     console.log("Current user ID:", req.user.id);
     console.log("Current user role:", req.user.role);
 
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      console.log("❌ Product not found");
-      return res.status(404).json({ success: false, message: "Product not found" });
-    }
-
+    // Loaded and ownership checked by checkOwnership
+    const product = req.resource;
     console.log("Product createdBy:", product.createdBy);
 
-    // Owner only check
-    if (!compareIds(product.createdBy, req.user.id)) {
-      console.log("❌ OWNERSHIP FAILED: Product does not belong to current user");
-      return res.status(403).json({
-        success: false,
-        message: "You do not own this product",
-      });
-    }
-
-    console.log("✅ Ownership verified. Proceeding with update...");
-
-    const { name, category, price, stock, description } = req.body;
+    const { name, category, price, compareAtPrice, stock, description } = req.body;
     const updateData = {};
 
     if (name) updateData.name = name;
     if (category) {
       const categoryExists = await Category.findById(category);
-      if (!categoryExists) return res.status(404).json({ 
-        success: false,
-        message: "Category not found" 
-      });
+      if (!categoryExists) {
+        await cleanupUploads(req);
+        return res.status(404).json({ 
+          success: false,
+          message: "Category not found" 
+        });
+      }
       updateData.category = category;
     }
     if (price !== undefined) updateData.price = parseFloat(price);
+    if (compareAtPrice !== undefined) {
+      updateData.compareAtPrice = compareAtPrice ? parseFloat(compareAtPrice) : null;
+    }
     if (stock !== undefined) updateData.stock = parseInt(stock);
     if (description !== undefined) updateData.description = description;
 
-    // ✅ FIXED: Use middleware's deleteFile function properly
-    if (req.files?.frontImage) {
-      await deleteFile(product.frontImage);
-      updateData.frontImage = req.files.frontImage[0].filename;
+    let removedVariantImages = [];
+    if (req.body.options !== undefined || req.body.variants !== undefined) {
+      const variantData = await buildVariants(req, product);
+      if (variantData.error) {
+        await cleanupUploads(req);
+        return res.status(400).json({ success: false, message: variantData.error });
+      }
+      updateData.options = variantData.options;
+      updateData.variants = variantData.variants;
+      removedVariantImages = variantData.removedImages;
+    }
+
+    // findByIdAndUpdate skips the save hook, so derive variant stock here
+    const variants = updateData.variants || product.variants;
+    if (variants.length > 0) {
+      updateData.stock = variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
     }
 
-    if (req.files?.backImage) {
-      if (product.backImage) {
-        await deleteFile(product.backImage);
+    // Front/back uploads replace the first two gallery images; extra
+    // images are appended. Replaced files are deleted after the update.
+    const replacedImages = [];
+    if (req.files?.frontImage || req.files?.backImage || req.files?.images) {
+      product.migrateLegacyImages();
+      const images = product.images.map((image) => ({
+        _id: image._id,
+        filename: image.filename,
+        alt: image.alt,
+      }));
+
+      if (req.files.frontImage) {
+        const filename = req.files.frontImage[0].filename;
+        if (images[0]) {
+          replacedImages.push(images[0].filename);
+          images[0].filename = filename;
+        } else {
+          images.unshift({ filename, alt: product.name });
+        }
+      }
+
+      if (req.files.backImage) {
+        const filename = req.files.backImage[0].filename;
+        if (images[1]) {
+          replacedImages.push(images[1].filename);
+          images[1].filename = filename;
+        } else {
+          images.push({ filename, alt: "" });
+        }
       }
-      updateData.backImage = req.files.backImage[0].filename;
+
+      const altTexts = parseAltTexts(req.body.alts);
+      (req.files.images || []).forEach((file, index) => {
+        images.push({ filename: file.filename, alt: altTexts[index] || "" });
+      });
+
+      // findByIdAndUpdate skips the validate hook, so mirror the cover here
+      updateData.images = images;
+      updateData.frontImage = images[0].filename;
+      updateData.backImage = images[1]?.filename || null;
     }
 
     const updatedProduct = await Product.findByIdAndUpdate(
@@ -320,19 +590,21 @@ export const updateProduct = async (req, res) => {
       }
     ).populate("category", "name");
 
+    for (const image of [...replacedImages, ...removedVariantImages]) {
+      await deleteFile(image);
+    }
+
     console.log("✅ Product updated successfully");
 
     res.json({
       success: true,
       message: "Product updated successfully",
-      data: {
-        ...updatedProduct.toObject(),
-        frontImage: getImageUrl(req, updatedProduct.frontImage),
-        backImage: updatedProduct.backImage ? getImageUrl(req, updatedProduct.backImage) : null,
-      },
+      data: formatProduct(req, updatedProduct),
     });
   } catch (error) {
     console.error("Update Product Error:", error);
+    await cleanupUploads(req);
+    if (sendValidationError(res, error)) return;
     res.status(500).json({ 
       success: false, 
       message: "Error updating product", 
@@ -341,6 +613,179 @@ export const updateProduct = async (req, res) => {
   }
 };
 
+/* ============================================================
+   ADD GALLERY IMAGES (owner only)
+   POST /api/products/:id/images
+============================================================ */
+export const addProductImages = async (req, res) => {
+  try {
+    const product = getGalleryProduct(req);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: "No images uploaded" });
+    }
+
+    const altTexts = parseAltTexts(req.body.alts);
+    req.files.forEach((file, index) => {
+      product.images.push({ filename: file.filename, alt: altTexts[index] || "" });
+    });
+
+    await product.save();
+    await product.populate("category", "name");
+
+    res.status(201).json({
+      success: true,
+      message: `${req.files.length} image(s) added`,
+      data: formatProduct(req, product),
+    });
+  } catch (error) {
+    console.error("Add Product Images Error:", error);
+    await cleanupUploads(req);
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: "Error adding images",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   REORDER GALLERY (owner only)
+   PATCH /api/products/:id/images/order
+============================================================ */
+export const reorderProductImages = async (req, res) => {
+  try {
+    const product = getGalleryProduct(req);
+
+    // The full list of image ids in the new order; the first becomes the cover
+    const order = parseJsonField(req.body.order);
+    const currentIds = product.images.map((image) => image._id.toString());
+
+    if (
+      !Array.isArray(order) ||
+      order.length !== currentIds.length ||
+      new Set(order.map(String)).size !== order.length ||
+      order.some((id) => !currentIds.includes(String(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Order must list every image id exactly once",
+      });
+    }
+
+    const byId = new Map(product.images.map((image) => [image._id.toString(), image.toObject()]));
+    product.images = order.map((id) => byId.get(String(id)));
+
+    await product.save();
+    await product.populate("category", "name");
+
+    res.json({
+      success: true,
+      message: "Images reordered",
+      data: formatProduct(req, product),
+    });
+  } catch (error) {
+    console.error("Reorder Product Images Error:", error);
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: "Error reordering images",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   UPDATE GALLERY IMAGE (alt text, cover) (owner only)
+   PATCH /api/products/:id/images/:imageId
+============================================================ */
+export const updateProductImage = async (req, res) => {
+  try {
+    const product = getGalleryProduct(req);
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ success: false, message: "Image not found" });
+    }
+
+    const { alt, isCover } = req.body;
+    if (alt !== undefined) image.alt = alt;
+
+    // The cover is always the first image
+    if (isCover === true || isCover === "true") {
+      const others = product.images
+        .filter((i) => !compareIds(i._id, image._id))
+        .map((i) => i.toObject());
+      product.images = [image.toObject(), ...others];
+    }
+
+    await product.save();
+    await product.populate("category", "name");
+
+    res.json({
+      success: true,
+      message: "Image updated",
+      data: formatProduct(req, product),
+    });
+  } catch (error) {
+    console.error("Update Product Image Error:", error);
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: "Error updating image",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   DELETE GALLERY IMAGE (owner only)
+   DELETE /api/products/:id/images/:imageId
+============================================================ */
+export const deleteProductImage = async (req, res) => {
+  try {
+    const product = getGalleryProduct(req);
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ success: false, message: "Image not found" });
+    }
+
+    if (product.images.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A product needs at least one image. Upload another before deleting this one.",
+      });
+    }
+
+    const { filename } = image;
+    product.images.pull(image._id);
+    await product.save();
+
+    // Only remove the file once nothing on the product points at it
+    if (!product.getImageFilenames().includes(filename)) {
+      await deleteFile(filename);
+    }
+
+    await product.populate("category", "name");
+
+    res.json({
+      success: true,
+      message: "Image deleted",
+      data: formatProduct(req, product),
+    });
+  } catch (error) {
+    console.error("Delete Product Image Error:", error);
+    if (sendValidationError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: "Error deleting image",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /* ============================================================
    UPDATE STOCK (owner only)
    PATCH /api/products/:id/stock
@@ -357,34 +802,40 @@ export const updateStock = async (req, res) => {
       });
     }
 
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Product not found" 
-      });
-    }
+    // Loaded and ownership checked by checkOwnership
+    const product = req.resource;
 
-    // Owner only
-    if (!compareIds(product.createdBy, req.user.id)) {
-      console.log("❌ Stock update denied: Not owner");
-      return res.status(403).json({ 
-        success: false, 
-        message: "You do not own this product" 
-      });
+    // Variant products are stocked per variant, chosen by id or SKU
+    const { variantId, sku } = req.body;
+    let variant = null;
+
+    if (product.variants.length > 0) {
+      variant = variantId
+        ? product.variants.id(variantId)
+        : product.variants.find((v) => sku && v.sku === String(sku).toUpperCase());
+
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          message: "This product has variants. Choose a valid variantId or sku.",
+        });
+      }
     }
 
-    let newStock = product.stock;
+    const target = variant || product;
+    let newStock = target.stock;
     if (action === "add") newStock += parseInt(quantity);
     if (action === "remove") newStock = Math.max(0, newStock - parseInt(quantity));
 
-    product.stock = newStock;
+    // The save hook re-totals product stock from the variants
+    target.stock = newStock;
     await product.save();
 
     console.log("✅ Stock updated:", { 
       id: product._id, 
       name: product.name, 
-      stock: product.stock 
+      variant: variant?.sku,
+      stock: target.stock 
     });
 
     res.json({
@@ -393,11 +844,21 @@ export const updateStock = async (req, res) => {
       data: { 
         id: product._id, 
         name: product.name, 
-        stock: product.stock 
+        stock: product.stock,
+        ...(variant && {
+          variant: {
+            _id: variant._id,
+            sku: variant.sku,
+            label: product.getVariantLabel(variant),
+            stock: variant.stock,
+            isLowStock: variant.stock <= LOW_STOCK_THRESHOLD,
+          },
+        }),
       },
     });
   } catch (error) {
     console.error("Update Stock Error:", error);
+    if (sendValidationError(res, error)) return;
     res.status(500).json({ 
       success: false, 
       message: "Error updating stock",
@@ -416,32 +877,15 @@ export const deleteProduct = async (req, res) => {
     console.log("Product ID to delete:", req.params.id);
     console.log("Current user ID:", req.user.id);
 
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      console.log("❌ Product not found");
-      return res.status(404).json({ 
-        success: false, 
-        message: "Product not found" 
-      });
-    }
-
+    // Loaded and ownership checked by checkOwnership
+    const product = req.resource;
     console.log("Product found. Created by:", product.createdBy);
 
-    // Owner only
-    if (!compareIds(product.createdBy, req.user.id)) {
-      console.log("❌ Delete denied: Not owner");
-      return res.status(403).json({ 
-        success: false, 
-        message: "You do not own this product" 
-      });
+    // Gallery, legacy front/back and variant images
+    for (const filename of product.getImageFilenames()) {
+      await deleteFile(filename);
     }
 
-    console.log("✅ Ownership verified. Deleting product...");
-
-    // ✅ FIXED: Use middleware's deleteFile function properly
-    if (product.frontImage) await deleteFile(product.frontImage);
-    if (product.backImage) await deleteFile(product.backImage);
-
     await product.deleteOne();
 
     console.log("✅ Product deleted successfully");
@@ -470,15 +914,47 @@ export const getProductStats = async (req, res) => {
     console.log("User role:", req.user.role);
 
     const stats = await Product.aggregate([
-      { $match: { createdBy: req.user.id } },
+      { $match: { createdBy: req.storeAccess.ownerId } },
+      // Each variant is its own stock unit; simple products are one unit
+      {
+        $project: {
+          price: 1,
+          stock: 1,
+          variantCount: { $size: { $ifNull: ["$variants", []] } },
+          units: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+              {
+                $map: {
+                  input: "$variants",
+                  as: "v",
+                  in: { price: { $ifNull: ["$$v.price", "$price"] }, stock: "$$v.stock" },
+                },
+              },
+              [{ price: "$price", stock: "$stock" }],
+            ],
+          },
+        },
+      },
       {
         $group: {
           _id: null,
           totalProducts: { $sum: 1 },
+          totalVariants: { $sum: "$variantCount" },
           totalStock: { $sum: "$stock" },
-          totalValue: { $sum: { $multiply: ["$price", "$stock"] } },
+          totalValue: {
+            $sum: {
+              $sum: { $map: { input: "$units", as: "u", in: { $multiply: ["$$u.price", "$$u.stock"] } } },
+            },
+          },
           averagePrice: { $avg: "$price" },
-          lowStockItems: { $sum: { $cond: [{ $lte: ["$stock", 5] }, 1, 0] } },
+          lowStockItems: {
+            $sum: {
+              $size: {
+                $filter: { input: "$units", as: "u", cond: { $lte: ["$$u.stock", LOW_STOCK_THRESHOLD] } },
+              },
+            },
+          },
         },
       },
     ]);
@@ -489,6 +965,7 @@ export const getProductStats = async (req, res) => {
       success: true,
       data: stats[0] || {
         totalProducts: 0,
+        totalVariants: 0,
         totalStock: 0,
         totalValue: 0,
         averagePrice: 0,
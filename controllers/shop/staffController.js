@@ -0,0 +1,446 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Store from "../../models/shop/Store.js";
+import StoreStaff from "../../models/shop/StoreStaff.js";
+import User from "../../models/User.js";
+import { STORE_PERMISSIONS, hasStorePermission, validatePermissions } from "../../utils/shop/permissions.js";
+import { sendMail } from "../../utils/mail/index.js";
+import { staffInvitationEmail } from "../../utils/mail/templates.js";
+
+// Helper function to compare IDs safely
+const compareIds = (id1, id2) => {
+  if (!id1 || !id2) return false;
+  return id1.toString() === id2.toString();
+};
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Read on every call: .env is loaded after this module is imported
+const getInviteDays = () => parseInt(process.env.STAFF_INVITE_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const formatStaff = (staff) => {
+  const staffObj = staff.toObject ? staff.toObject() : { ...staff };
+  delete staffObj.inviteTokenHash;
+  return staffObj;
+};
+
+// Staff can only hand out permissions they hold themselves
+const findUngrantable = (access, permissions) =>
+  permissions.filter((permission) => !hasStorePermission(access, permission));
+
+// Returns { store } or { error: { status, message } }
+const findAccessStore = async (access) => {
+  const store = await Store.findOne({ createdBy: access.ownerId });
+  if (!store) {
+    return { error: { status: 404, message: "Store not found. Please create a store first." } };
+  }
+  return { store };
+};
+
+// Returns { staff } or { error: { status, message } }
+const findStoreStaff = async (store, staffId) => {
+  if (!mongoose.Types.ObjectId.isValid(staffId)) {
+    return { error: { status: 400, message: "Invalid staff ID" } };
+  }
+
+  const staff = await StoreStaff.findOne({ _id: staffId, store: store._id });
+  if (!staff) {
+    return { error: { status: 404, message: "Staff member not found" } };
+  }
+  return { staff };
+};
+
+// New token, new expiry, status back to invited. Returns the raw token.
+const issueInvitation = (staff) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  staff.inviteTokenHash = hashToken(token);
+  staff.inviteExpiresAt = new Date(Date.now() + getInviteDays() * 24 * 60 * 60 * 1000);
+  staff.status = "invited";
+  staff.user = null;
+  staff.acceptedAt = null;
+  return token;
+};
+
+// A mail failure must not fail the request; the owner can invite again
+const sendInvitationEmail = async (staff, store, inviter, token) => {
+  try {
+    await sendMail({
+      to: staff.email,
+      ...staffInvitationEmail({
+        storeName: store.name,
+        inviterName: inviter.name || store.name,
+        token,
+        expiresInDays: getInviteDays(),
+      }),
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Could not send staff invitation to ${staff.email}:`, error.message);
+    return false;
+  }
+};
+
+/* ============================================================
+   LIST PERMISSIONS
+   GET /api/stores/staff/permissions
+============================================================ */
+export const getStorePermissions = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(STORE_PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+};
+
+/* ============================================================
+   INVITE STAFF (owner or staff with staff:manage)
+   POST /api/stores/my-store/staff
+   Inviting an address again sends a fresh link
+============================================================ */
+export const inviteStaff = async (req, res) => {
+  try {
+    console.log("=== INVITE STAFF ===");
+    const { email, permissions = [] } = req.body;
+
+    if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email address is required",
+      });
+    }
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({ success: false, message: permissionError });
+    }
+
+    const ungrantable = findUngrantable(req.storeAccess, permissions);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not hold: ${ungrantable.join(", ")}`,
+      });
+    }
+
+    const { store, error } = await findAccessStore(req.storeAccess);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Shop owners run their own store and admins already see everything
+    const existingUser = await User.findOne({ email: normalizedEmail }).select("role");
+    if (existingUser && existingUser.role !== "customer") {
+      return res.status(400).json({
+        success: false,
+        message: "Only customer accounts can be invited as staff",
+      });
+    }
+
+    let staff = await StoreStaff.findOne({ store: store._id, email: normalizedEmail });
+
+    if (staff?.status === "active") {
+      return res.status(409).json({
+        success: false,
+        message: "This person is already a staff member",
+      });
+    }
+
+    if (!staff) {
+      staff = new StoreStaff({ store: store._id, email: normalizedEmail });
+    }
+
+    staff.permissions = [...new Set(permissions)];
+    staff.invitedBy = req.user.id;
+    const token = issueInvitation(staff);
+    await staff.save();
+
+    const emailSent = await sendInvitationEmail(staff, store, req.user, token);
+
+    console.log(`✉️ User ${req.user.id} invited ${normalizedEmail} to store ${store._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? "Invitation sent"
+        : "Invitation created, but the email could not be sent. Please try again.",
+      data: formatStaff(staff),
+    });
+  } catch (error) {
+    console.error("Invite Staff Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error inviting staff member",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   LIST STAFF (owner or staff with staff:manage)
+   GET /api/stores/my-store/staff
+   Query: status (invited|active|revoked)
+============================================================ */
+export const listStaff = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const { store, error } = await findAccessStore(req.storeAccess);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const filter = { store: store._id };
+    if (status) filter.status = status;
+
+    const staff = await StoreStaff.find(filter)
+      .select("-inviteTokenHash")
+      .populate("user", "name email")
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: staff,
+    });
+  } catch (error) {
+    console.error("List Staff Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching staff",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   UPDATE STAFF PERMISSIONS (owner or staff with staff:manage)
+   PATCH /api/stores/my-store/staff/:staffId
+============================================================ */
+export const updateStaffPermissions = async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return res.status(400).json({ success: false, message: permissionError });
+    }
+
+    const { store, error: storeError } = await findAccessStore(req.storeAccess);
+    if (storeError) {
+      return res.status(storeError.status).json({ success: false, message: storeError.message });
+    }
+
+    const { staff, error } = await findStoreStaff(store, req.params.staffId);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (compareIds(staff._id, req.storeAccess.membershipId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own permissions",
+      });
+    }
+
+    if (staff.status === "revoked") {
+      return res.status(400).json({
+        success: false,
+        message: "This staff member has been removed. Invite them again instead.",
+      });
+    }
+
+    // Changing a permission also means taking it away
+    const ungrantable = findUngrantable(req.storeAccess, [
+      ...new Set([...permissions, ...staff.permissions]),
+    ]);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot change permissions you do not hold: ${ungrantable.join(", ")}`,
+      });
+    }
+
+    staff.permissions = [...new Set(permissions)];
+    await staff.save();
+
+    console.log(`🔑 User ${req.user.id} set permissions of ${staff.email} to [${staff.permissions.join(", ")}]`);
+
+    res.json({
+      success: true,
+      message: "Permissions updated",
+      data: formatStaff(staff),
+    });
+  } catch (error) {
+    console.error("Update Staff Permissions Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating permissions",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   REMOVE STAFF / CANCEL INVITATION (owner or staff with staff:manage)
+   DELETE /api/stores/my-store/staff/:staffId
+============================================================ */
+export const removeStaff = async (req, res) => {
+  try {
+    const { store, error: storeError } = await findAccessStore(req.storeAccess);
+    if (storeError) {
+      return res.status(storeError.status).json({ success: false, message: storeError.message });
+    }
+
+    const { staff, error } = await findStoreStaff(store, req.params.staffId);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (compareIds(staff._id, req.storeAccess.membershipId)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot remove yourself",
+      });
+    }
+
+    const ungrantable = findUngrantable(req.storeAccess, staff.permissions);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot remove staff holding permissions you do not hold: ${ungrantable.join(", ")}`,
+      });
+    }
+
+    staff.status = "revoked";
+    staff.inviteTokenHash = null;
+    staff.inviteExpiresAt = null;
+    await staff.save();
+
+    console.log(`🗑️ User ${req.user.id} removed ${staff.email} from store ${store._id}`);
+
+    res.json({
+      success: true,
+      message: "Staff member removed",
+    });
+  } catch (error) {
+    console.error("Remove Staff Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing staff member",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   ACCEPT INVITATION (the invited user)
+   POST /api/stores/staff/invitations/accept
+============================================================ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "This invitation is invalid.",
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    const staff = await StoreStaff.findOne({
+      inviteTokenHash: hashToken(token),
+      status: "invited",
+    });
+
+    if (!staff) {
+      return res.status(400).json({
+        success: false,
+        message: "This invitation is invalid.",
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    if (staff.inviteExpiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "This invitation has expired. Please ask for a new one.",
+        code: "TOKEN_EXPIRED",
+      });
+    }
+
+    if (staff.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: "This invitation was sent to a different email address.",
+        code: "EMAIL_MISMATCH",
+      });
+    }
+
+    if (req.user.role !== "customer") {
+      return res.status(400).json({
+        success: false,
+        message: "Only customer accounts can join a store as staff",
+      });
+    }
+
+    const store = await Store.findById(staff.store).select("name");
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: "This store no longer exists",
+      });
+    }
+
+    staff.user = req.user.id;
+    staff.status = "active";
+    staff.acceptedAt = new Date();
+    staff.inviteTokenHash = null;
+    staff.inviteExpiresAt = null;
+    await staff.save();
+
+    console.log(`✅ ${staff.email} joined store ${store._id} as staff`);
+
+    res.json({
+      success: true,
+      message: `You are now a staff member of ${store.name}`,
+      data: { ...formatStaff(staff), store },
+    });
+  } catch (error) {
+    console.error("Accept Invitation Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error accepting invitation",
+      error: error.message,
+    });
+  }
+};
+
+/* ============================================================
+   MY MEMBERSHIPS (stores the user works for)
+   GET /api/stores/staff/memberships
+   Send a store's _id as X-Store-Id to act for it
+============================================================ */
+export const getMyMemberships = async (req, res) => {
+  try {
+    const memberships = await StoreStaff.find({ user: req.user.id, status: "active" })
+      .select("store permissions acceptedAt")
+      .populate("store", "name logo createdBy")
+      .sort({ acceptedAt: 1 });
+
+    res.json({
+      success: true,
+      data: memberships.filter((membership) => membership.store),
+    });
+  } catch (error) {
+    console.error("Get Memberships Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching memberships",
+      error: error.message,
+    });
+  }
+};
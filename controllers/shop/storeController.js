@@ -1,6 +1,24 @@
 import Store from "../../models/shop/Store.js";
 import Product from "../../models/shop/Product.js";
-import { deleteLogo, deleteBanner, getStoreImageUrl } from "../../middleware/shop/storeUpload.js";
+import StoreStaff from "../../models/shop/StoreStaff.js";
+import {
+  deleteLogo,
+  deleteBanner,
+} from "../../middleware/shop/storeUpload.js";
+import { getImageUrl, getImageSizeUrls } from "../../utils/shop/imageUrls.js";
+import { MAX_PREVIOUS_SLUGS, validateSlug } from "../../utils/shop/storeSlugs.js";
+import {
+  getOpeningStatus,
+  isValidTimezone,
+  validateBusinessHours,
+  validateClosures,
+} from "../../utils/shop/businessHours.js";
+
+const isDuplicateSlugError = (error) => error?.code === 11000 && Boolean(error.keyPattern?.slug);
+
+// Today's date in a timezone, as "YYYY-MM-DD"
+const getLocalDate = (timezone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(new Date());
 
 // Helper to get full image URLs
 const getStoreWithImages = (store, req) => {
@@ -9,11 +27,13 @@ const getStoreWithImages = (store, req) => {
   const storeObj = store.toObject ? store.toObject() : { ...store };
   
   if (storeObj.logo) {
-    storeObj.logoUrl = getStoreImageUrl(req, storeObj.logo, "logo");
+    storeObj.logoUrl = getImageUrl(req, "logos", storeObj.logo);
+    storeObj.logoSizes = getImageSizeUrls(req, "logos", storeObj.logo);
   }
   
   if (storeObj.bannerImage) {
-    storeObj.bannerUrl = getStoreImageUrl(req, storeObj.bannerImage, "banner");
+    storeObj.bannerUrl = getImageUrl(req, "banners", storeObj.bannerImage);
+    storeObj.bannerSizes = getImageSizeUrls(req, "banners", storeObj.bannerImage);
   }
   
   return storeObj;
@@ -53,6 +73,18 @@ export const createStore = async (req, res) => {
         message: "Store name is required",
       });
     }
+
+    // A slug is generated from the name unless the owner picks one
+    const slug = typeof req.body.slug === "string" ? req.body.slug.trim().toLowerCase() : "";
+    if (slug) {
+      const slugError = validateSlug(slug);
+      if (slugError) {
+        return res.status(400).json({ success: false, message: slugError });
+      }
+      if (await Store.isSlugTaken(slug)) {
+        return res.status(409).json({ success: false, message: "This slug is already taken" });
+      }
+    }
     
     // Parse social links if provided
     let socialLinks = {
@@ -87,6 +119,7 @@ export const createStore = async (req, res) => {
       established: established || new Date().getFullYear(),
       socialLinks,
       createdBy: req.user.id,
+      ...(slug && { slug }),
     };
     
     // Handle uploaded files
@@ -102,8 +135,15 @@ export const createStore = async (req, res) => {
     
     console.log("📝 Creating store with data:", storeData);
     
-    const store = await Store.create(storeData);
-    console.log("✅ Store created:", store.name);
+    let store;
+    try {
+      store = await Store.create(storeData);
+    } catch (error) {
+      // Another store took the same generated slug in the meantime
+      if (!isDuplicateSlugError(error) || slug) throw error;
+      store = await Store.create(storeData);
+    }
+    console.log("✅ Store created:", store.name, `(${store.slug})`);
     
     res.status(201).json({
       success: true,
@@ -121,6 +161,10 @@ export const createStore = async (req, res) => {
       await deleteBanner(req.files.bannerImage[0].filename);
     }
     
+    if (isDuplicateSlugError(error)) {
+      return res.status(409).json({ success: false, message: "This slug is already taken" });
+    }
+    
     res.status(500).json({
       success: false,
       message: "Error creating store",
@@ -130,14 +174,14 @@ export const createStore = async (req, res) => {
 };
 
 /* ============================================================
-   GET MY STORE
+   GET MY STORE (owner or staff)
 ============================================================ */
 export const getMyStore = async (req, res) => {
   try {
     console.log("=== GET MY STORE ===");
     console.log("User ID:", req.user.id);
     
-    const store = await Store.findOne({ createdBy: req.user.id });
+    const store = await Store.findOne({ createdBy: req.storeAccess.ownerId });
     
     if (!store) {
       return res.status(404).json({
@@ -147,9 +191,9 @@ export const getMyStore = async (req, res) => {
     }
     
     // Get store statistics
-    const productCount = await Product.countDocuments({ createdBy: req.user.id });
+    const productCount = await Product.countDocuments({ createdBy: req.storeAccess.ownerId });
     const activeProducts = await Product.countDocuments({ 
-      createdBy: req.user.id,
+      createdBy: req.storeAccess.ownerId,
       stock: { $gt: 0 }
     });
     
@@ -162,6 +206,7 @@ export const getMyStore = async (req, res) => {
         productCount,
         activeProducts,
       },
+      openingStatus: getOpeningStatus(store),
     };
     
     console.log("✅ Store found:", store.name);
@@ -180,15 +225,52 @@ export const getMyStore = async (req, res) => {
   }
 };
 
+/**
+ * Read discountSettings (JSON string or object) on top of the store's
+ * current settings. Returns { settings } or { error }.
+ */
+const parseDiscountSettings = (raw, store) => {
+  let parsed;
+  try {
+    parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch {
+    return { error: "Discount settings must be valid JSON" };
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { error: "Discount settings must be an object" };
+  }
+
+  const settings = { ...store.discountSettings?.toObject?.() };
+
+  if (parsed.maxStackedCodes !== undefined) {
+    const maxStackedCodes = Number(parsed.maxStackedCodes);
+    if (!Number.isInteger(maxStackedCodes) || maxStackedCodes < 1) {
+      return { error: "maxStackedCodes must be a whole number of at least 1" };
+    }
+    settings.maxStackedCodes = maxStackedCodes;
+  }
+
+  if (parsed.maxDiscountPercent !== undefined) {
+    const maxDiscountPercent = Number(parsed.maxDiscountPercent);
+    if (!Number.isFinite(maxDiscountPercent) || maxDiscountPercent < 0 || maxDiscountPercent > 100) {
+      return { error: "maxDiscountPercent must be between 0 and 100" };
+    }
+    settings.maxDiscountPercent = maxDiscountPercent;
+  }
+
+  return { settings };
+};
+
 /* ============================================================
-   UPDATE STORE
+   UPDATE STORE (owner or staff with store:edit)
 ============================================================ */
 export const updateStore = async (req, res) => {
   try {
     console.log("=== UPDATE STORE ===");
     console.log("User ID:", req.user.id);
     
-    const store = await Store.findOne({ createdBy: req.user.id });
+    const store = await Store.findOne({ createdBy: req.storeAccess.ownerId });
     if (!store) {
       return res.status(404).json({
         success: false,
@@ -233,6 +315,21 @@ export const updateStore = async (req, res) => {
       }
     }
     
+    // Handle discount settings if provided; only the known keys are copied
+    if (req.body.discountSettings) {
+      const { settings, error } = parseDiscountSettings(req.body.discountSettings, store);
+      if (error) {
+        if (req.files?.logo) await deleteLogo(req.files.logo[0].filename);
+        if (req.files?.bannerImage) await deleteBanner(req.files.bannerImage[0].filename);
+
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      updateData.discountSettings = settings;
+    }
+    
     // Handle uploaded files
     if (req.files?.logo) {
       console.log("📁 New logo uploaded:", req.files.logo[0].filename);
@@ -256,7 +353,7 @@ export const updateStore = async (req, res) => {
     
     // Update store
     const updatedStore = await Store.findOneAndUpdate(
-      { createdBy: req.user.id },
+      { createdBy: req.storeAccess.ownerId },
       updateData,
       {
         new: true,
@@ -297,6 +394,152 @@ export const updateStore = async (req, res) => {
   }
 };
 
+/* ============================================================
+   CHANGE STORE SLUG (owner or staff with store:edit)
+   PATCH /api/stores/my-store/slug
+   The old slug keeps redirecting to the new one
+============================================================ */
+export const updateStoreSlug = async (req, res) => {
+  try {
+    console.log("=== UPDATE STORE SLUG ===");
+    const slug = typeof req.body.slug === "string" ? req.body.slug.trim().toLowerCase() : "";
+
+    const slugError = validateSlug(slug);
+    if (slugError) {
+      return res.status(400).json({ success: false, message: slugError });
+    }
+
+    const store = await Store.findOne({ createdBy: req.storeAccess.ownerId });
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: "Store not found",
+      });
+    }
+
+    if (store.slug === slug) {
+      return res.json({
+        success: true,
+        message: "Slug unchanged",
+        data: getStoreWithImages(store, req),
+      });
+    }
+
+    // The store's own old slugs can be taken back
+    if (await Store.isSlugTaken(slug, store._id)) {
+      return res.status(409).json({ success: false, message: "This slug is already taken" });
+    }
+
+    const previousSlugs = store.previousSlugs.filter((previous) => previous !== slug);
+    if (store.slug) previousSlugs.push(store.slug);
+
+    const oldSlug = store.slug;
+    store.previousSlugs = previousSlugs.slice(-MAX_PREVIOUS_SLUGS);
+    store.slug = slug;
+    await store.save();
+
+    console.log(`🔗 Store slug changed from ${oldSlug} to ${slug}`);
+
+    res.json({
+      success: true,
+      message: "Store slug updated",
+      data: getStoreWithImages(store, req),
+    });
+  } catch (error) {
+    if (isDuplicateSlugError(error)) {
+      return res.status(409).json({ success: false, message: "This slug is already taken" });
+    }
+
+    console.error("❌ Update Store Slug Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating store slug",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/* ============================================================
+   UPDATE BUSINESS HOURS (owner or staff with store:edit)
+   PUT /api/stores/my-store/hours
+   Body: timezone, businessHours, closures; each replaces the
+   current value when given
+============================================================ */
+export const updateBusinessHours = async (req, res) => {
+  try {
+    console.log("=== UPDATE BUSINESS HOURS ===");
+    const { timezone, businessHours, closures } = req.body;
+
+    if (timezone === undefined && businessHours === undefined && closures === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide timezone, businessHours or closures",
+      });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Timezone must be an IANA name such as Europe/Berlin",
+      });
+    }
+
+    const validationError =
+      (businessHours !== undefined && validateBusinessHours(businessHours)) ||
+      (closures !== undefined && validateClosures(closures));
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const store = await Store.findOne({ createdBy: req.storeAccess.ownerId });
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: "Store not found",
+      });
+    }
+
+    if (timezone !== undefined) store.timezone = timezone;
+
+    if (businessHours !== undefined) {
+      store.businessHours = businessHours
+        .map(({ day, open, close }) => ({ day, open, close }))
+        .sort((a, b) => a.day - b.day || a.open.localeCompare(b.open));
+    }
+
+    if (closures !== undefined) {
+      // Closures that have already ended are dropped
+      const today = getLocalDate(store.timezone);
+      store.closures = closures
+        .filter((closure) => closure.endDate >= today)
+        .map(({ startDate, endDate, reason }) => ({ startDate, endDate, reason: reason || "" }))
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    await store.save();
+
+    console.log("🕒 Business hours updated:", store.name);
+
+    res.json({
+      success: true,
+      message: "Business hours updated",
+      data: {
+        timezone: store.timezone,
+        businessHours: store.businessHours,
+        closures: store.closures,
+        openingStatus: getOpeningStatus(store),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Update Business Hours Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating business hours",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /* ============================================================
    UPDATE ONLY SOCIAL LINKS
 ============================================================ */
@@ -315,7 +558,7 @@ export const updateSocialLinks = async (req, res) => {
     }
     
     const updatedStore = await Store.findOneAndUpdate(
-      { createdBy: req.user.id },
+      { createdBy: req.storeAccess.ownerId },
       { socialLinks },
       { new: true, runValidators: true }
     );
@@ -344,26 +587,18 @@ export const updateSocialLinks = async (req, res) => {
 
 /* ============================================================
    GET PUBLIC STORE
+   GET /api/stores/public/:slug
+   The store is resolved by resolvePublicStore; inactive and
+   suspended stores never get here
 ============================================================ */
 export const getPublicStore = async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    const store = await Store.findOne({ 
-      createdBy: userId,
-      isActive: true 
-    });
-    
-    if (!store) {
-      return res.status(404).json({
-        success: false,
-        message: "Store not found or is inactive",
-      });
-    }
+    const store = req.store;
     
     // Get public store data (exclude sensitive info)
     const publicStore = {
       _id: store._id,
+      slug: store.slug,
       name: store.name,
       tagline: store.tagline,
       description: store.description,
@@ -377,18 +612,32 @@ export const getPublicStore = async (req, res) => {
       createdAt: store.createdAt,
     };
     
+    // Opening hours and whether the store is open right now
+    const openingStatus = getOpeningStatus(store);
+    const today = getLocalDate(openingStatus.timezone);
+    
+    publicStore.timezone = openingStatus.timezone;
+    publicStore.businessHours = store.businessHours;
+    publicStore.closures = store.closures.filter((closure) => closure.endDate >= today);
+    publicStore.isOpenNow = openingStatus.isOpenNow;
+    publicStore.closesAt = openingStatus.closesAt;
+    publicStore.nextOpenAt = openingStatus.nextOpenAt;
+    publicStore.currentClosure = openingStatus.closure;
+    
     // Add image URLs
     if (store.logo) {
-      publicStore.logoUrl = getStoreImageUrl(req, store.logo, "logo");
+      publicStore.logoUrl = getImageUrl(req, "logos", store.logo);
+      publicStore.logoSizes = getImageSizeUrls(req, "logos", store.logo);
     }
     
     if (store.bannerImage) {
-      publicStore.bannerUrl = getStoreImageUrl(req, store.bannerImage, "banner");
+      publicStore.bannerUrl = getImageUrl(req, "banners", store.bannerImage);
+      publicStore.bannerSizes = getImageSizeUrls(req, "banners", store.bannerImage);
     }
     
     // Get store products count
     const productCount = await Product.countDocuments({ 
-      createdBy: userId,
+      createdBy: store.createdBy,
       stock: { $gt: 0 }
     });
     
@@ -434,8 +683,9 @@ export const deleteStore = async (req, res) => {
       await deleteBanner(store.bannerImage);
     }
     
-    // Delete the store
+    // Delete the store and its staff memberships
     await Store.findByIdAndDelete(store._id);
+    await StoreStaff.deleteMany({ store: store._id });
     
     console.log("🗑️ Store deleted:", store.name);
     
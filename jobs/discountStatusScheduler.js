@@ -0,0 +1,123 @@
+import Discount from "../models/shop/Discount.js";
+import DiscountStatusTransition from "../models/shop/DiscountStatusTransition.js";
+
+// ================================
+// CONFIGURATION
+// ================================
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // 1 minute
+const BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+// ================================
+// TRANSITION RULES
+// ================================
+
+// Paused discounts are never touched; only the owner can resume them
+const buildRules = (now) => [
+  {
+    to: "expired",
+    filter: { status: { $in: ["upcoming", "active"] }, endDate: { $lt: now } },
+  },
+  {
+    to: "active",
+    filter: { status: "upcoming", startDate: { $lte: now }, endDate: { $gte: now } },
+  },
+  {
+    // Start date moved into the future after the discount went live
+    to: "upcoming",
+    filter: { status: "active", startDate: { $gt: now } },
+  },
+  {
+    // End date extended on an expired discount
+    to: "active",
+    filter: { status: "expired", startDate: { $lte: now }, endDate: { $gte: now } },
+  },
+];
+
+// ================================
+// SYNC
+// ================================
+
+/**
+ * Move discounts whose start or end date has passed into the right status
+ * and record each change. `scope` narrows the run, e.g. { createdBy }.
+ * Returns the number of discounts that changed.
+ */
+export const syncDiscountStatuses = async (scope = {}) => {
+  const now = new Date();
+  let changed = 0;
+
+  for (const rule of buildRules(now)) {
+    const filter = { ...scope, ...rule.filter };
+    const candidates = await Discount.find(filter).select("_id status").limit(BATCH_SIZE);
+
+    for (const candidate of candidates) {
+      // Re-check the condition in the update so concurrent runs cannot double-log
+      const updated = await Discount.findOneAndUpdate(
+        { _id: candidate._id, ...rule.filter },
+        { $set: { status: rule.to } }
+      );
+
+      if (!updated) continue;
+
+      await DiscountStatusTransition.create({
+        discount: updated._id,
+        from: updated.status,
+        to: rule.to,
+        source: "schedule",
+      });
+      changed++;
+    }
+  }
+
+  return changed;
+};
+
+// ================================
+// SCHEDULER
+// ================================
+
+const tick = async () => {
+  // Skip if the previous run is still going
+  if (running) return;
+  running = true;
+
+  try {
+    const changed = await syncDiscountStatuses();
+    if (changed > 0) {
+      console.log(`⏱️ Discount scheduler: ${changed} status change(s) applied`);
+    }
+  } catch (error) {
+    console.error("❌ Discount scheduler error:", error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process scheduler. Runs once right away, then every
+ * DISCOUNT_SCHEDULER_INTERVAL_MS milliseconds (default 1 minute).
+ */
+export const startDiscountStatusScheduler = () => {
+  if (timer) return timer;
+
+  const interval = parseInt(process.env.DISCOUNT_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  tick();
+  timer = setInterval(tick, interval);
+  // Never keep the process alive just for the scheduler
+  timer.unref();
+
+  console.log(`⏱️ Discount status scheduler running every ${interval / 1000}s`);
+  return timer;
+};
+
+export const stopDiscountStatusScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,53 @@
+import path from "path";
+import {
+  IMAGE_SIZES,
+  generateDerivatives,
+  getDerivativeFilename,
+  isDerivativeFilename,
+} from "../utils/shop/imageProcessing.js";
+import { getStorage } from "../utils/storage/index.js";
+
+const UPLOAD_FOLDERS = [
+  "products",
+  "discounts",
+  "stores/logos",
+  "stores/banners",
+];
+
+/**
+ * Generate missing thumbnail/medium/large files for images uploaded before
+ * the processing pipeline existed. Safe to run on every start.
+ */
+export const backfillImageDerivatives = async () => {
+  const storage = getStorage();
+  let generated = 0;
+
+  for (const folder of UPLOAD_FOLDERS) {
+    const objects = await storage.list(`${folder}/`);
+    const filenames = objects
+      .filter((object) => path.posix.dirname(object.key) === folder)
+      .map((object) => path.posix.basename(object.key));
+    const existing = new Set(filenames);
+
+    for (const filename of filenames) {
+      if (isDerivativeFilename(filename)) continue;
+
+      const missing = Object.keys(IMAGE_SIZES).some(
+        (size) => !existing.has(getDerivativeFilename(filename, size))
+      );
+      if (!missing) continue;
+
+      try {
+        await generateDerivatives(folder, filename);
+        generated++;
+      } catch (error) {
+        console.error(`❌ Could not create image sizes for ${folder}/${filename}:`, error.message);
+      }
+    }
+  }
+
+  if (generated > 0) {
+    console.log(`🖼️ Image size backfill: ${generated} image(s) processed`);
+  }
+  return generated;
+};
@@ -0,0 +1,35 @@
+import Product from "../models/shop/Product.js";
+
+/**
+ * One-off migration: copy the legacy frontImage/backImage of every product
+ * into its gallery. Safe to run on every start; migrated products are skipped.
+ */
+export const migrateProductGallery = async () => {
+  try {
+    const cursor = Product.find({
+      "images.0": { $exists: false },
+      frontImage: { $ne: null },
+    }).cursor();
+
+    let migrated = 0;
+    for await (const product of cursor) {
+      if (!product.migrateLegacyImages()) continue;
+
+      // One invalid product should not stop the rest
+      try {
+        await product.save();
+        migrated++;
+      } catch (error) {
+        console.error(`❌ Could not migrate images of product ${product._id}:`, error.message);
+      }
+    }
+
+    if (migrated > 0) {
+      console.log(`🖼️ Product gallery migration: ${migrated} product(s) migrated`);
+    }
+    return migrated;
+  } catch (error) {
+    console.error("❌ Product gallery migration error:", error.message);
+    return 0;
+  }
+};
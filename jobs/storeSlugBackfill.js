@@ -0,0 +1,25 @@
+import Store from "../models/shop/Store.js";
+
+/**
+ * Give stores created before slugs existed one, generated from their
+ * name. Safe to run on every start.
+ */
+export const backfillStoreSlugs = async () => {
+  const stores = await Store.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: "" }] });
+  let assigned = 0;
+
+  for (const store of stores) {
+    try {
+      // The validate hook generates the slug
+      await store.save();
+      assigned++;
+    } catch (error) {
+      console.error(`❌ Could not assign a slug to store ${store._id}:`, error.message);
+    }
+  }
+
+  if (assigned > 0) {
+    console.log(`🔗 Store slug backfill: ${assigned} store(s) updated`);
+  }
+  return assigned;
+};
@@ -0,0 +1,210 @@
+import path from "path";
+import Product from "../models/shop/Product.js";
+import Discount from "../models/shop/Discount.js";
+import Store from "../models/shop/Store.js";
+import Order from "../models/shop/Order.js";
+import { IMAGE_SIZES } from "../utils/shop/imageProcessing.js";
+import { IMAGE_FOLDERS, getStorage } from "../utils/storage/index.js";
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_HOURS = 24;
+
+let timer = null;
+let running = false;
+
+const DERIVATIVE_SUFFIX = new RegExp(`-(${Object.keys(IMAGE_SIZES).join("|")})\\.webp$`);
+
+// Files are matched on their name without extension, so an original and
+// its "-thumbnail.webp" etc. derivatives share one reference, and legacy
+// .jpg references still cover their files
+const getImageName = (filename) =>
+  DERIVATIVE_SUFFIX.test(filename)
+    ? filename.replace(DERIVATIVE_SUFFIX, "")
+    : path.parse(path.basename(filename)).name;
+
+export const getGraceHours = () => {
+  const hours = parseFloat(process.env.UPLOAD_GC_GRACE_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS;
+};
+
+// ================================
+// REFERENCES
+// ================================
+
+const toNameSet = (...lists) =>
+  new Set(lists.flat().filter(Boolean).map(getImageName));
+
+/**
+ * Every image filename still referenced, keyed like IMAGE_FOLDERS.
+ * Order lines keep a snapshot of the product image, so they count too.
+ */
+const collectReferences = async () => {
+  const [
+    frontImages,
+    backImages,
+    galleryImages,
+    variantImages,
+    orderImages,
+    discountImages,
+    logos,
+    banners,
+  ] = await Promise.all([
+    Product.distinct("frontImage"),
+    Product.distinct("backImage"),
+    Product.distinct("images.filename"),
+    Product.distinct("variants.image"),
+    Order.distinct("items.image"),
+    Discount.distinct("image"),
+    Store.distinct("logo"),
+    Store.distinct("bannerImage"),
+  ]);
+
+  return {
+    products: toNameSet(frontImages, backImages, galleryImages, variantImages, orderImages),
+    discounts: toNameSet(discountImages),
+    logos: toNameSet(logos),
+    banners: toNameSet(banners),
+  };
+};
+
+// ================================
+// REPORT AND CLEANUP
+// ================================
+
+/**
+ * Compare the files in each upload folder with the database.
+ * Nothing is deleted; orphans older than the grace period are marked
+ * `deletable`.
+ */
+export const findOrphanedUploads = async ({ graceHours = getGraceHours() } = {}) => {
+  const storage = getStorage();
+  const references = await collectReferences();
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+
+  const totals = { scanned: 0, orphans: 0, deletable: 0, orphanBytes: 0 };
+  const folders = [];
+
+  for (const [type, folder] of Object.entries(IMAGE_FOLDERS)) {
+    const objects = (await storage.list(`${folder}/`)).filter(
+      (object) => path.posix.dirname(object.key) === folder
+    );
+
+    const orphans = objects
+      .filter((object) => !references[type].has(getImageName(path.posix.basename(object.key))))
+      .map((object) => ({
+        key: object.key,
+        size: object.size,
+        lastModified: object.lastModified,
+        deletable: new Date(object.lastModified).getTime() < cutoff,
+      }));
+
+    const deletable = orphans.filter((orphan) => orphan.deletable).length;
+    const orphanBytes = orphans.reduce((sum, orphan) => sum + (orphan.size || 0), 0);
+
+    totals.scanned += objects.length;
+    totals.orphans += orphans.length;
+    totals.deletable += deletable;
+    totals.orphanBytes += orphanBytes;
+
+    folders.push({
+      folder,
+      scanned: objects.length,
+      orphans: orphans.length,
+      deletable,
+      orphanBytes,
+      files: orphans,
+    });
+  }
+
+  return {
+    generatedAt: new Date(),
+    graceHours,
+    totals,
+    folders,
+  };
+};
+
+/**
+ * Delete orphans older than the grace period. With dryRun only the
+ * report is returned.
+ */
+export const collectOrphanedUploads = async ({ graceHours, dryRun = false } = {}) => {
+  const report = await findOrphanedUploads({ graceHours });
+  report.dryRun = dryRun;
+  report.totals.deleted = 0;
+
+  if (dryRun) return report;
+
+  const storage = getStorage();
+  for (const folder of report.folders) {
+    for (const file of folder.files) {
+      if (!file.deletable) continue;
+
+      try {
+        file.deleted = await storage.delete(file.key);
+        if (file.deleted) report.totals.deleted++;
+      } catch (error) {
+        console.error(`❌ Could not delete orphaned upload ${file.key}:`, error.message);
+      }
+    }
+  }
+
+  return report;
+};
+
+// ================================
+// SCHEDULER
+// ================================
+
+const isDeletionEnabled = () => process.env.UPLOAD_GC_ENABLED === "true";
+
+const tick = async () => {
+  // Skip if the previous run is still going
+  if (running) return;
+  running = true;
+
+  try {
+    const report = await collectOrphanedUploads({ dryRun: !isDeletionEnabled() });
+    const { orphans, deletable, deleted } = report.totals;
+
+    if (orphans > 0) {
+      console.log(
+        report.dryRun
+          ? `🧹 Upload GC: ${orphans} orphaned file(s), ${deletable} past the grace period (deletion disabled)`
+          : `🧹 Upload GC: ${orphans} orphaned file(s), ${deleted} deleted`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Upload GC error:", error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process collector. Runs once right away, then every
+ * UPLOAD_GC_INTERVAL_MS milliseconds (default 24 hours). Orphans are
+ * only reported unless UPLOAD_GC_ENABLED=true.
+ */
+export const startUploadGarbageCollector = () => {
+  if (timer) return timer;
+
+  const interval = parseInt(process.env.UPLOAD_GC_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  tick();
+  timer = setInterval(tick, interval);
+  // Never keep the process alive just for the collector
+  timer.unref();
+
+  console.log(
+    `🧹 Upload GC running every ${interval / 3600000}h (grace ${getGraceHours()}h, deletion ${isDeletionEnabled() ? "enabled" : "disabled"})`
+  );
+  return timer;
+};
+
+export const stopUploadGarbageCollector = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -44,6 +44,23 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    if (user.suspended) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been suspended. Please contact support.",
+        code: "ACCOUNT_SUSPENDED"
+      });
+    }
+
+    // Tokens issued before a password change or "log out everywhere"
+    if (decoded.tv !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: "Your session has ended. Please log in again.",
+        code: "TOKEN_REVOKED"
+      });
+    }
+
     // Attach user to request object with all user info
     req.user = {
       id: user._id,
@@ -113,51 +130,6 @@ export const authorizeRoles = (...roles) => {
   };
 };
 
-// ------------------------------
-// OWNERSHIP CHECK MIDDLEWARE (NEW)
-// ------------------------------
-export const checkOwnership = (modelName, idParam = "id") => {
-  return async (req, res, next) => {
-    try {
-      const Model = require(`../models/${modelName}.js`).default || require(`../models/${modelName}.js`);
-      const resource = await Model.findById(req.params[idParam]);
-      
-      if (!resource) {
-        return res.status(404).json({
-          success: false,
-          message: `${modelName} not found.`,
-          code: "NOT_FOUND"
-        });
-      }
-
-      // Admin can access anything
-      if (req.user.role === "admin") {
-        return next();
-      }
-
-      // Check if the current user owns this resource
-      if (resource.createdBy.toString() !== req.user.id) {
-        console.warn(`⚠️ Ownership violation: User ${req.user.id} tried to access ${modelName} ${req.params[idParam]} owned by ${resource.createdBy}`);
-        
-        return res.status(403).json({
-          success: false,
-          message: "You do not have permission to access this resource.",
-          code: "NOT_OWNER"
-        });
-      }
-
-      next();
-    } catch (error) {
-      console.error(`Ownership check error for ${modelName}:`, error);
-      return res.status(500).json({
-        success: false,
-        message: "Error checking resource ownership.",
-        code: "OWNERSHIP_CHECK_FAILED"
-      });
-    }
-  };
-};
-
 // ------------------------------
 // ADMIN ONLY MIDDLEWARE (SHORTHAND)
 // ------------------------------
@@ -1,47 +1,26 @@
 import multer from "multer";
 import path from "path";
-import fs from "fs";
+import {
+  deleteStoredImage,
+  processUploadedImages,
+} from "../../utils/shop/imageProcessing.js";
+import { IMAGE_FOLDERS, ensureUploadTempDir, getStorage } from "../../utils/storage/index.js";
 
 // ================================
-// ✅ CONSISTENT PATH - Project root uploads
+// STORAGE FOLDER
 // ================================
 
-const UPLOADS_BASE = "uploads"; // Relative to project root
-const DISCOUNTS_UPLOADS = path.join(UPLOADS_BASE, "discounts");
-
-// ================================
-// DIRECTORY INITIALIZATION
-// ================================
-
-// Ensure upload directory exists on module load
-const initializeUploadDirectory = () => {
-  try {
-    const absolutePath = path.resolve(DISCOUNTS_UPLOADS);
-    if (!fs.existsSync(absolutePath)) {
-      fs.mkdirSync(absolutePath, { recursive: true });
-      console.log(`✅ Created discount upload directory: ${absolutePath}`);
-    }
-  } catch (error) {
-    console.error(`❌ Failed to create discount upload directory: ${error.message}`);
-    throw error;
-  }
-};
-
-initializeUploadDirectory();
+// Folder (storage key prefix) for discount images in the configured storage
+const DISCOUNTS_FOLDER = IMAGE_FOLDERS.discounts;
 
 // ================================
 // MULTER CONFIGURATION
 // ================================
 
-// Configure storage
+// Multer writes to a temp dir; processUploadedImages moves the result to storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const absolutePath = path.resolve(DISCOUNTS_UPLOADS);
-    // Double-check directory exists
-    if (!fs.existsSync(absolutePath)) {
-      fs.mkdirSync(absolutePath, { recursive: true });
-    }
-    cb(null, absolutePath);
+    cb(null, ensureUploadTempDir());
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
@@ -79,28 +58,27 @@ const upload = multer({
 // ================================
 
 // Middleware for discount images
-export const uploadDiscountImage = upload.single("image");
+// The upload is converted to WebP with thumbnail, medium and large sizes
+export const uploadDiscountImage = [upload.single("image"), processUploadedImages(DISCOUNTS_FOLDER)];
 
 // ================================
 // UTILITY FUNCTIONS
 // ================================
 
 /**
- * Delete a file from the discount uploads directory
+ * Delete a discount image, and its size derivatives, from storage
  */
 export const deleteFile = async (filename) => {
   try {
     if (!filename) return false;
     
     const safeFilename = path.basename(filename);
-    const filePath = path.resolve(DISCOUNTS_UPLOADS, safeFilename);
-    
-    if (fs.existsSync(filePath)) {
-      await fs.promises.unlink(filePath);
+    const deleted = await deleteStoredImage(DISCOUNTS_FOLDER, safeFilename);
+
+    if (deleted) {
       console.log(`🗑️ Deleted discount file: ${safeFilename}`);
-      return true;
     }
-    return false;
+    return deleted;
   } catch (error) {
     console.error(`❌ Error deleting discount file ${filename}:`, error.message);
     return false;
@@ -108,34 +86,14 @@ export const deleteFile = async (filename) => {
 };
 
 /**
- * Get the full URL for a discount image
- */
-export const getImageUrl = (req, filename) => {
-  if (!filename) return null;
-  const safeFilename = path.basename(filename);
-  return `${req.protocol}://${req.get("host")}/uploads/discounts/${safeFilename}`;
-};
-
-/**
- * Get the absolute filesystem path for a discount image
+ * Check if a discount image exists in storage
  */
-export const getFilePath = (filename) => {
-  if (!filename) return null;
-  const safeFilename = path.basename(filename);
-  return path.resolve(DISCOUNTS_UPLOADS, safeFilename);
-};
-
-/**
- * Check if a discount image file exists
- */
-export const fileExists = (filename) => {
+export const fileExists = async (filename) => {
   try {
     if (!filename) return false;
-    const safeFilename = path.basename(filename);
-    const filePath = path.resolve(DISCOUNTS_UPLOADS, safeFilename);
-    return fs.existsSync(filePath);
+    return await getStorage().exists(`${DISCOUNTS_FOLDER}/${path.basename(filename)}`);
   } catch (error) {
     console.error(`❌ Error checking discount file ${filename}:`, error.message);
     return false;
   }
-};
\ No newline at end of file
+};
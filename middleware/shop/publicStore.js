@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import Store from "../../models/shop/Store.js";
+
+// ------------------------------
+// PUBLIC STORE RESOLUTION
+// ------------------------------
+
+/**
+ * Resolve req.params.slug to a store shoppers may see and attach it as
+ * req.store. A renamed store's old slug, or the owner id that links used
+ * before slugs existed, gets a permanent redirect to the current slug.
+ */
+export const resolvePublicStore = async (req, res, next) => {
+  try {
+    const handle = String(req.params.slug || "").toLowerCase();
+
+    const store = await Store.findPublic({ slug: handle });
+    if (store) {
+      req.store = store;
+      return next();
+    }
+
+    const moved = await Store.findPublic(
+      mongoose.isValidObjectId(handle) ? { createdBy: handle } : { previousSlugs: handle }
+    );
+
+    if (moved?.slug) {
+      const [pathname, query] = req.originalUrl.split("?");
+      const segment = `/public/${encodeURIComponent(req.params.slug)}`;
+      const index = pathname.indexOf(segment);
+
+      if (index !== -1) {
+        const target =
+          pathname.slice(0, index) +
+          `/public/${moved.slug}` +
+          pathname.slice(index + segment.length) +
+          (query !== undefined ? `?${query}` : "");
+        return res.redirect(301, target);
+      }
+    }
+
+    return res.status(404).json({
+      success: false,
+      message: "Store not found or is inactive",
+    });
+  } catch (error) {
+    console.error("Public store lookup error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching store",
+    });
+  }
+};
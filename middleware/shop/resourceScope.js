@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import Category from "../../models/shop/Category.js";
+import Product from "../../models/shop/Product.js";
+import Discount from "../../models/shop/Discount.js";
+import DiscountCampaign from "../../models/shop/DiscountCampaign.js";
+import Order from "../../models/shop/Order.js";
+import { loadStoreAccess } from "./storeAccess.js";
+import { hasStorePermission } from "../../utils/shop/permissions.js";
+
+// ------------------------------
+// MODEL REGISTRY
+// ------------------------------
+
+// Every model a /:id route can load. storeField holds the id of the store
+// owner the document belongs to; customerField the buyer, where there is one.
+const SCOPED_MODELS = {
+  Category: { model: Category, label: "Category", storeField: "createdBy" },
+  Product: { model: Product, label: "Product", storeField: "createdBy" },
+  Discount: { model: Discount, label: "Discount", storeField: "createdBy" },
+  DiscountCampaign: { model: DiscountCampaign, label: "Campaign", storeField: "createdBy" },
+  Order: { model: Order, label: "Order", storeField: "shopOwner", customerField: "customer" },
+};
+
+// Who may load a document besides admins:
+//   store    - the store owner, or its staff (holding `permission`)
+//   owner    - the store owner only
+//   customer - the buyer named in customerField
+//   shoppers - users who do not act for any store
+const ALLOW_VALUES = ["store", "owner", "customer", "shoppers"];
+
+// Works whether or not the field has been populated
+const refId = (value) => value?._id || value;
+
+const compareIds = (id1, id2) => {
+  if (!id1 || !id2) return false;
+  return id1.toString() === id2.toString();
+};
+
+// ------------------------------
+// OWNERSHIP CHECK MIDDLEWARE
+// ------------------------------
+
+/**
+ * Load the document named by req.params[idParam] once, check the current
+ * user may use it and attach it as req.resource. Admins always pass.
+ *
+ *   checkOwnership("Product", { permission: "products:write" })
+ *   checkOwnership("Order", { allow: ["customer", "owner"] })
+ *
+ * Options:
+ *   idParam    - route parameter holding the id (default "id")
+ *   allow      - see ALLOW_VALUES (default ["store"])
+ *   permission - store permission staff need on the "store" path
+ *   populate   - passed to Query#populate
+ */
+export const checkOwnership = (modelName, options = {}) => {
+  const entry = SCOPED_MODELS[modelName];
+  if (!entry) {
+    throw new Error(`checkOwnership: unknown model "${modelName}"`);
+  }
+
+  const { idParam = "id", allow = ["store"], permission = null, populate = null } = options;
+
+  const unknown = allow.filter((value) => !ALLOW_VALUES.includes(value));
+  if (unknown.length > 0) {
+    throw new Error(`checkOwnership: unknown allow value(s) ${unknown.join(", ")}`);
+  }
+
+  const { model, label, storeField, customerField } = entry;
+
+  return async (req, res, next) => {
+    try {
+      const id = req.params[idParam];
+
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${label.toLowerCase()} ID.`,
+          code: "INVALID_ID"
+        });
+      }
+
+      let query = model.findById(id);
+      if (populate) query = query.populate(populate);
+      const resource = await query;
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found.`,
+          code: "NOT_FOUND"
+        });
+      }
+
+      // Admin can access anything
+      if (req.user.role === "admin") {
+        req.resource = resource;
+        return next();
+      }
+
+      if (
+        allow.includes("customer") &&
+        customerField &&
+        compareIds(refId(resource[customerField]), req.user.id)
+      ) {
+        req.resource = resource;
+        return next();
+      }
+
+      const access = await loadStoreAccess(req);
+      const storeAllowed = allow.includes("store") || (allow.includes("owner") && access?.isOwner);
+
+      if (storeAllowed && access && compareIds(refId(resource[storeField]), access.ownerId)) {
+        if (permission && allow.includes("store") && !hasStorePermission(access, permission)) {
+          console.warn(`⛔ Permission denied: User ${req.user.id} lacks ${permission} for ${modelName} ${id}`);
+
+          return res.status(403).json({
+            success: false,
+            message: "You do not have permission to perform this action.",
+            code: "PERMISSION_DENIED",
+            requiredPermissions: [permission]
+          });
+        }
+
+        req.resource = resource;
+        return next();
+      }
+
+      if (allow.includes("shoppers") && !access) {
+        req.resource = resource;
+        return next();
+      }
+
+      console.warn(`⚠️ Ownership violation: User ${req.user.id} tried to access ${modelName} ${id} owned by ${refId(resource[storeField])}`);
+
+      return res.status(403).json({
+        success: false,
+        message: `This ${label.toLowerCase()} does not belong to you.`,
+        code: "NOT_OWNER"
+      });
+    } catch (error) {
+      console.error(`Ownership check error for ${modelName}:`, error);
+      return res.status(500).json({
+        success: false,
+        message: "Error checking resource ownership.",
+        code: "OWNERSHIP_CHECK_FAILED"
+      });
+    }
+  };
+};
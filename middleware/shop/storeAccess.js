@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+import StoreStaff from "../../models/shop/StoreStaff.js";
+import { PERMISSION_NAMES, hasStorePermission } from "../../utils/shop/permissions.js";
+
+// ------------------------------
+// STORE ACCESS RESOLUTION
+// ------------------------------
+
+/**
+ * Work out which store the current user acts for and with which
+ * permissions. Sets req.storeAccess to
+ *   { ownerId, storeId, isOwner, permissions, membershipId }
+ * or null. Products, discounts and stores are keyed by the owner's user
+ * id, so controllers scope queries by storeAccess.ownerId.
+ *
+ * Shop owners act for their own store. Staff who work for several stores
+ * pick one with the X-Store-Id header.
+ */
+export const loadStoreAccess = async (req) => {
+  if (req.storeAccess !== undefined) return req.storeAccess;
+
+  let access = null;
+
+  if (req.user.role === "shopOwner") {
+    access = {
+      ownerId: req.user.id,
+      storeId: null,
+      isOwner: true,
+      permissions: [...PERMISSION_NAMES],
+      membershipId: null,
+    };
+  } else {
+    const storeId = req.get("x-store-id");
+    const membership = await StoreStaff.findOne({
+      user: req.user.id,
+      status: "active",
+      ...(storeId && mongoose.isValidObjectId(storeId) && { store: storeId }),
+    })
+      .sort({ acceptedAt: 1 })
+      .populate("store", "createdBy");
+
+    if (membership?.store) {
+      access = {
+        ownerId: membership.store.createdBy,
+        storeId: membership.store._id,
+        isOwner: false,
+        permissions: membership.permissions,
+        membershipId: membership._id,
+      };
+    }
+  }
+
+  req.storeAccess = access;
+  return access;
+};
+
+/**
+ * Attach req.storeAccess when the user has one; never blocks
+ */
+export const attachStoreAccess = async (req, res, next) => {
+  try {
+    await loadStoreAccess(req);
+    next();
+  } catch (error) {
+    console.error("Store access error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error checking store access.",
+      code: "STORE_ACCESS_CHECK_FAILED"
+    });
+  }
+};
+
+/**
+ * Require a store owner, or staff holding every listed permission.
+ * With no permissions, any active staff member passes.
+ */
+export const requireStorePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const access = await loadStoreAccess(req);
+
+      if (!access) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You do not own or work for a store.",
+          code: "NO_STORE_ACCESS"
+        });
+      }
+
+      const missing = permissions.filter((permission) => !hasStorePermission(access, permission));
+      if (missing.length > 0) {
+        console.warn(`⛔ Permission denied: User ${req.user.id} lacks ${missing.join(", ")} for ${req.method} ${req.originalUrl}`);
+
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to perform this action.",
+          code: "PERMISSION_DENIED",
+          requiredPermissions: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Store permission check error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error checking store permissions.",
+        code: "STORE_ACCESS_CHECK_FAILED"
+      });
+    }
+  };
+};
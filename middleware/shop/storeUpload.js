@@ -1,40 +1,28 @@
 import multer from "multer";
 import path from "path";
-import fs from "fs";
+import {
+  deleteStoredImage,
+  processUploadedImages,
+} from "../../utils/shop/imageProcessing.js";
+import { IMAGE_FOLDERS, ensureUploadTempDir } from "../../utils/storage/index.js";
 
 // ================================
-// PATHS
+// STORAGE FOLDERS
 // ================================
 
-const UPLOADS_BASE = "uploads";
-const STORES_UPLOADS = path.join(UPLOADS_BASE, "stores");
-const LOGOS_UPLOADS = path.join(STORES_UPLOADS, "logos");
-const BANNERS_UPLOADS = path.join(STORES_UPLOADS, "banners");
+const LOGOS_FOLDER = IMAGE_FOLDERS.logos;
+const BANNERS_FOLDER = IMAGE_FOLDERS.banners;
 
-// ================================
-// DIRECTORY INITIALIZATION
-// ================================
-
-const initializeUploadDirectories = () => {
-  try {
-    [STORES_UPLOADS, LOGOS_UPLOADS, BANNERS_UPLOADS].forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-        console.log(`✅ Created directory: ${path.resolve(dir)}`);
-      }
-    });
-  } catch (error) {
-    console.error(`❌ Failed to create directories:`, error.message);
-    throw error;
-  }
-};
-
-initializeUploadDirectories();
+// Storage folder for an uploaded store image, by form field
+const folderForField = (file) =>
+  file.fieldname === "bannerImage" ? BANNERS_FOLDER : LOGOS_FOLDER;
 
 // ================================
 // FILE FILTER - FIXED VERSION
 // ================================
 
+// Only a first pass: processUploadedImages checks the actual content and
+// rasterizes SVGs, so no script in an SVG is ever stored
 const fileFilter = (req, file, cb) => {
   const allowedExtensions = ['.jpeg', '.jpg', '.png', '.webp', '.gif', '.svg'];
   const allowedMimeTypes = [
@@ -73,9 +61,11 @@ const fileFilter = (req, file, cb) => {
 // STORAGE CONFIGURATION
 // ================================
 
+// Multer writes to a temp dir; processUploadedImages moves the result to storage
+
 const logoStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, LOGOS_UPLOADS);
+    cb(null, ensureUploadTempDir());
   },
   filename: (req, file, cb) => {
     const userId = req.user?.id || 'unknown';
@@ -88,7 +78,7 @@ const logoStorage = multer.diskStorage({
 
 const bannerStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, BANNERS_UPLOADS);
+    cb(null, ensureUploadTempDir());
   },
   filename: (req, file, cb) => {
     const userId = req.user?.id || 'unknown';
@@ -103,30 +93,30 @@ const bannerStorage = multer.diskStorage({
 // MULTER INSTANCES
 // ================================
 
-export const uploadLogo = multer({
+// Every store upload is followed by processUploadedImages, which converts
+// it (SVGs included) to WebP and stores it with thumbnail, medium and large sizes
+export const uploadLogo = [multer({
   storage: logoStorage,
   limits: {
     fileSize: 2 * 1024 * 1024, // 2MB
   },
   fileFilter: fileFilter
-}).single("logo");
+}).single("logo"), processUploadedImages(LOGOS_FOLDER)];
 
-export const uploadBanner = multer({
+export const uploadBanner = [multer({
   storage: bannerStorage,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB
   },
   fileFilter: fileFilter
-}).single("bannerImage");
+}).single("bannerImage"), processUploadedImages(BANNERS_FOLDER)];
 
 // Main upload middleware for store images
-export const uploadStoreImages = multer({
+export const uploadStoreImages = [multer({
   storage: multer.diskStorage({
     destination: (req, file, cb) => {
-      if (file.fieldname === 'logo') {
-        cb(null, LOGOS_UPLOADS);
-      } else if (file.fieldname === 'bannerImage') {
-        cb(null, BANNERS_UPLOADS);
+      if (file.fieldname === 'logo' || file.fieldname === 'bannerImage') {
+        cb(null, ensureUploadTempDir());
       } else {
         cb(new Error('Invalid fieldname'), false);
       }
@@ -147,51 +137,28 @@ export const uploadStoreImages = multer({
 }).fields([
   { name: 'logo', maxCount: 1 },
   { name: 'bannerImage', maxCount: 1 }
-]);
+]), processUploadedImages(folderForField)];
 
 // ================================
 // UTILITY FUNCTIONS
 // ================================
 
-export const deleteLogo = async (filename) => {
+const deleteStoreImage = async (folder, filename, label) => {
   try {
     if (!filename) return false;
     const safeFilename = path.basename(filename);
-    const filePath = path.join(LOGOS_UPLOADS, safeFilename);
-    
-    if (fs.existsSync(filePath)) {
-      await fs.promises.unlink(filePath);
-      console.log(`🗑️ Deleted store logo: ${safeFilename}`);
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error(`❌ Error deleting store logo ${filename}:`, error.message);
-    return false;
-  }
-};
+    const deleted = await deleteStoredImage(folder, safeFilename);
 
-export const deleteBanner = async (filename) => {
-  try {
-    if (!filename) return false;
-    const safeFilename = path.basename(filename);
-    const filePath = path.join(BANNERS_UPLOADS, safeFilename);
-    
-    if (fs.existsSync(filePath)) {
-      await fs.promises.unlink(filePath);
-      console.log(`🗑️ Deleted store banner: ${safeFilename}`);
-      return true;
+    if (deleted) {
+      console.log(`🗑️ Deleted store ${label}: ${safeFilename}`);
     }
-    return false;
+    return deleted;
   } catch (error) {
-    console.error(`❌ Error deleting store banner ${filename}:`, error.message);
+    console.error(`❌ Error deleting store ${label} ${filename}:`, error.message);
     return false;
   }
 };
 
-export const getStoreImageUrl = (req, filename, type = "logo") => {
-  if (!filename) return null;
-  const safeFilename = path.basename(filename);
-  const folder = type === "banner" ? "banners" : "logos";
-  return `${req.protocol}://${req.get("host")}/uploads/stores/${folder}/${safeFilename}`;
-};
\ No newline at end of file
+export const deleteLogo = (filename) => deleteStoreImage(LOGOS_FOLDER, filename, "logo");
+
+export const deleteBanner = (filename) => deleteStoreImage(BANNERS_FOLDER, filename, "banner");
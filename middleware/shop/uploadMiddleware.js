@@ -1,47 +1,26 @@
 import multer from "multer";
 import path from "path";
-import fs from "fs";
+import {
+  deleteStoredImage,
+  processUploadedImages,
+} from "../../utils/shop/imageProcessing.js";
+import { IMAGE_FOLDERS, ensureUploadTempDir, getStorage } from "../../utils/storage/index.js";
 
 // ================================
-// ✅ CONSISTENT PATH - Project root uploads
+// STORAGE FOLDER
 // ================================
 
-const UPLOADS_BASE = "uploads"; // Relative to project root
-const PRODUCTS_UPLOADS = path.join(UPLOADS_BASE, "products");
-
-// ================================
-// DIRECTORY INITIALIZATION
-// ================================
-
-// Ensure upload directory exists on module load
-const initializeUploadDirectory = () => {
-  try {
-    const absolutePath = path.resolve(PRODUCTS_UPLOADS);
-    if (!fs.existsSync(absolutePath)) {
-      fs.mkdirSync(absolutePath, { recursive: true });
-      console.log(`✅ Created product upload directory: ${absolutePath}`);
-    }
-  } catch (error) {
-    console.error(`❌ Failed to create product upload directory: ${error.message}`);
-    throw error;
-  }
-};
-
-initializeUploadDirectory();
+// Folder (storage key prefix) for product images in the configured storage
+const PRODUCTS_FOLDER = IMAGE_FOLDERS.products;
 
 // ================================
 // MULTER CONFIGURATION
 // ================================
 
-// Configure storage
+// Multer writes to a temp dir; processUploadedImages moves the result to storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const absolutePath = path.resolve(PRODUCTS_UPLOADS);
-    // Double-check directory exists
-    if (!fs.existsSync(absolutePath)) {
-      fs.mkdirSync(absolutePath, { recursive: true });
-    }
-    cb(null, absolutePath);
+    cb(null, ensureUploadTempDir());
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
@@ -78,32 +57,46 @@ const upload = multer({
 // MIDDLEWARE EXPORTS
 // ================================
 
+// Most gallery images accepted in one request; the gallery itself has no cap
+export const MAX_GALLERY_UPLOAD = 20;
+
 // Middleware for product images
-export const uploadProductImages = upload.fields([
-  { name: "frontImage", maxCount: 1 },
-  { name: "backImage", maxCount: 1 },
-]);
+// variantImages are matched to variants by their imageIndex
+// Each upload is converted to WebP with thumbnail, medium and large sizes
+export const uploadProductImages = [
+  upload.fields([
+    { name: "frontImage", maxCount: 1 },
+    { name: "backImage", maxCount: 1 },
+    { name: "images", maxCount: MAX_GALLERY_UPLOAD },
+    { name: "variantImages", maxCount: 20 },
+  ]),
+  processUploadedImages(PRODUCTS_FOLDER),
+];
+
+// Middleware for adding images to an existing gallery
+export const uploadGalleryImages = [
+  upload.array("images", MAX_GALLERY_UPLOAD),
+  processUploadedImages(PRODUCTS_FOLDER),
+];
 
 // ================================
 // UTILITY FUNCTIONS
 // ================================
 
 /**
- * Delete a file from the product uploads directory
+ * Delete a product image, and its size derivatives, from storage
  */
 export const deleteFile = async (filename) => {
   try {
     if (!filename) return false;
     
     const safeFilename = path.basename(filename);
-    const filePath = path.resolve(PRODUCTS_UPLOADS, safeFilename);
-    
-    if (fs.existsSync(filePath)) {
-      await fs.promises.unlink(filePath);
+    const deleted = await deleteStoredImage(PRODUCTS_FOLDER, safeFilename);
+
+    if (deleted) {
       console.log(`🗑️ Deleted product file: ${safeFilename}`);
-      return true;
     }
-    return false;
+    return deleted;
   } catch (error) {
     console.error(`❌ Error deleting product file ${filename}:`, error.message);
     return false;
@@ -111,34 +104,14 @@ export const deleteFile = async (filename) => {
 };
 
 /**
- * Get the full URL for a product image
- */
-export const getImageUrl = (req, filename) => {
-  if (!filename) return null;
-  const safeFilename = path.basename(filename);
-  return `${req.protocol}://${req.get("host")}/uploads/products/${safeFilename}`;
-};
-
-/**
- * Get the absolute filesystem path for a product image
+ * Check if a product image exists in storage
  */
-export const getFilePath = (filename) => {
-  if (!filename) return null;
-  const safeFilename = path.basename(filename);
-  return path.resolve(PRODUCTS_UPLOADS, safeFilename);
-};
-
-/**
- * Check if a product image file exists
- */
-export const fileExists = (filename) => {
+export const fileExists = async (filename) => {
   try {
     if (!filename) return false;
-    const safeFilename = path.basename(filename);
-    const filePath = path.resolve(PRODUCTS_UPLOADS, safeFilename);
-    return fs.existsSync(filePath);
+    return await getStorage().exists(`${PRODUCTS_FOLDER}/${path.basename(filename)}`);
   } catch (error) {
     console.error(`❌ Error checking product file ${filename}:`, error.message);
     return false;
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Failed logins, counted per account (by email) and per client IP
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // "account:<email>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    // Exponential backoff: no attempt is checked before this time
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Account lockout after too many failures; cleared by time or an admin
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB forgets attempts once their window and any lock are over
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
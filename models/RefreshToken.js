@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the token; the token itself is only ever sent to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token rotated from the same login shares a family, so reuse of
+    // an old token can revoke the whole chain
+    family: {
+      type: String,
+      required: true,
+    },
+    // User.tokenVersion when issued; a password change or "log out
+    // everywhere" bumps the user's version and invalidates the token
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedByHash: {
+      type: String,
+      default: null,
+    },
+    createdByIp: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// MongoDB removes tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -1,5 +1,10 @@
 import mongoose from "mongoose";
 
+export const USER_ROLES = ["admin", "shopOwner", "customer"];
+
+// Roles anyone may pick when registering; admins are created by admins
+export const PUBLIC_ROLES = ["shopOwner", "customer"];
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -21,11 +26,65 @@ const userSchema = new mongoose.Schema(
 
     role: {
       type: String,
-      enum: ["admin", "shopOwner"],
+      enum: USER_ROLES,
       default: "shopOwner",
     },
+
+    // Suspended users cannot log in or use existing tokens
+    suspended: {
+      type: Boolean,
+      default: false,
+    },
+
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+
+    suspensionReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Embedded in every token; bumping it revokes all of them
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// Changing the password signs the user out everywhere
+userSchema.pre("save", async function () {
+  if (this.isNew || !this.isModified("password")) return;
+
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  this.passwordChangedAt = new Date();
+});
+
+userSchema.index({ role: 1, suspended: 1 });
+
 export default mongoose.model("User", userSchema);
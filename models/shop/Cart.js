@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Chosen variant, for products sold in options
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity must be at least 1"],
+    },
+    // Price snapshot from the last recalculation
+    price: {
+      type: Number,
+      default: 0,
+      min: [0, "Price cannot be negative"],
+    },
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: [0, "Subtotal cannot be negative"],
+    },
+    // Share of the cart discount given to this line
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount amount cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true, // One cart per user
+    },
+    // A cart only holds products from one shop, like an order
+    shopOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    items: [cartItemSchema],
+    discount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Discount",
+      default: null,
+    },
+    discountCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    // Totals are always calculated on the server
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: [0, "Subtotal cannot be negative"],
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount amount cannot be negative"],
+    },
+    total: {
+      type: Number,
+      default: 0,
+      min: [0, "Total cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+cartSchema.virtual("itemCount").get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+export default mongoose.model("Cart", cartSchema);
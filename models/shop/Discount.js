@@ -114,6 +114,12 @@ const discountSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Orders used cannot be negative"],
     },
+    // Set on codes generated in bulk by a campaign
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DiscountCampaign",
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -201,6 +207,7 @@ discountSchema.index({ createdBy: 1 });
 discountSchema.index({ status: 1 });
 discountSchema.index({ startDate: 1, endDate: 1 });
 discountSchema.index({ createdAt: -1 });
+discountSchema.index({ campaign: 1 });
 
 // ================================
 // STATIC METHOD (UNCHANGED)
@@ -231,4 +238,150 @@ discountSchema.statics.isValidCode = async function(code, shopOwnerId) {
   return discount;
 };
 
+// ================================
+// INSTANCE METHODS
+// ================================
+
+// Returns the reason this discount cannot be applied right now, or null
+discountSchema.methods.getInvalidReason = function(orderAmount) {
+  const now = new Date();
+  const start = new Date(this.startDate);
+  const end = new Date(this.endDate);
+
+  if (now < start) return "Discount is not active yet";
+  if (now > end) return "Discount has expired";
+  if (this.status !== "active") return "Discount is not active";
+
+  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+    return "Discount usage limit reached";
+  }
+
+  if (orderAmount !== undefined && this.minOrder > 0) {
+    if (parseFloat(orderAmount) < this.minOrder) {
+      return `Minimum order amount is $${this.minOrder}`;
+    }
+  }
+
+  return null;
+};
+
+// Percentage/fixed discount math shared by checkout and code validation
+discountSchema.methods.calculateAmount = function(orderAmount) {
+  const amount = parseFloat(orderAmount) || 0;
+  let discountAmount = 0;
+
+  if (this.type === "percentage") {
+    discountAmount = (amount * this.value) / 100;
+    if (this.maxDiscount > 0 && discountAmount > this.maxDiscount) {
+      discountAmount = this.maxDiscount;
+    }
+  } else {
+    discountAmount = this.value;
+  }
+
+  // A discount can never exceed the amount it is applied to
+  if (orderAmount !== undefined) {
+    discountAmount = Math.min(discountAmount, amount);
+  }
+
+  return Math.round(discountAmount * 100) / 100;
+};
+
+// ================================
+// ATOMIC USAGE COUNTING
+// ================================
+
+// remainingUses recomputed inside an update pipeline from the new usedCount
+const remainingUsesExpr = (usedCountExpr) => ({
+  $cond: [
+    { $eq: [{ $ifNull: ["$usageLimit", null] }, null] },
+    null,
+    { $max: [0, { $subtract: ["$usageLimit", usedCountExpr] }] },
+  ],
+});
+
+/**
+ * Count one use of a discount in a single conditional update, so concurrent
+ * checkouts can never go over usageLimit. Which orders were counted is kept
+ * in the DiscountRedemption ledger; use claimRedemption from the discount
+ * engine rather than calling this directly.
+ *
+ * The discount must also be live: active and within its dates, checked in
+ * the same update so a code paused or expiring mid-checkout is not
+ * counted. Pass `placedAt` to record an order placed earlier; its dates
+ * are then checked against that moment and the current status is ignored.
+ *
+ * Resolves to { status, discount } where status is "recorded",
+ * "inactive", "limit_reached" or "not_found".
+ */
+discountSchema.statics.claimUsage = async function(discountId, orderAmount, options = {}) {
+  const amount = parseFloat(orderAmount) || 0;
+  const newUsedCount = { $add: ["$usedCount", 1] };
+  const at = options.placedAt ? new Date(options.placedAt) : new Date();
+
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: discountId,
+      ...(!options.placedAt && { status: "active" }),
+      startDate: { $lte: at },
+      endDate: { $gte: at },
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    [
+      {
+        $set: {
+          usedCount: newUsedCount,
+          ordersUsed: { $add: ["$ordersUsed", 1] },
+          revenueGenerated: { $add: ["$revenueGenerated", amount] },
+          remainingUses: remainingUsesExpr(newUsedCount),
+        },
+      },
+    ],
+    { new: true, updatePipeline: true }
+  );
+
+  if (updated) return { status: "recorded", discount: updated };
+
+  // Work out why the conditional update did not match
+  const current = await this.findById(discountId);
+  if (!current) return { status: "not_found", discount: null };
+
+  const isLive =
+    (options.placedAt || current.status === "active") &&
+    current.startDate <= at &&
+    current.endDate >= at;
+
+  return {
+    status: isLive ? "limit_reached" : "inactive",
+    discount: current,
+  };
+};
+
+/**
+ * Undo one claimUsage, e.g. when checkout fails after the claim or the
+ * order is cancelled. Callers make sure each claim is released only once.
+ */
+discountSchema.statics.releaseUsage = async function(discountId, orderAmount) {
+  const amount = parseFloat(orderAmount) || 0;
+  const newUsedCount = { $max: [0, { $subtract: ["$usedCount", 1] }] };
+
+  return this.findOneAndUpdate(
+    { _id: discountId },
+    [
+      {
+        $set: {
+          usedCount: newUsedCount,
+          ordersUsed: { $max: [0, { $subtract: ["$ordersUsed", 1] }] },
+          revenueGenerated: { $max: [0, { $subtract: ["$revenueGenerated", amount] }] },
+          remainingUses: remainingUsesExpr(newUsedCount),
+        },
+      },
+    ],
+    { new: true, updatePipeline: true }
+  );
+};
+
 export default mongoose.model("Discount", discountSchema);
\ No newline at end of file
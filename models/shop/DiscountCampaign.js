@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+// Shared rules and code settings for a batch of single-use discount codes.
+// Each generated code is a regular Discount that points back here.
+const discountCampaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Campaign name is required"],
+      trim: true,
+      maxLength: [100, "Campaign name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+
+    // ================================
+    // SHARED DISCOUNT RULES
+    // ================================
+    type: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "percentage",
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0, "Discount value cannot be negative"],
+    },
+    minOrder: {
+      type: Number,
+      min: [0, "Minimum order cannot be negative"],
+      default: 0,
+    },
+    maxDiscount: {
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+      default: 0,
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    customerType: {
+      type: String,
+      enum: ["all", "new", "returning", "vip"],
+      default: "all",
+    },
+    appliesTo: {
+      type: String,
+      enum: ["all_products", "selected_categories", "selected_products"],
+      default: "all_products",
+    },
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    }],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    }],
+    combineWithOther: {
+      type: Boolean,
+      default: true,
+    },
+    excludeSaleItems: {
+      type: Boolean,
+      default: false,
+    },
+
+    // ================================
+    // CODE SETTINGS
+    // ================================
+    codePrefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "",
+    },
+    codeLength: {
+      type: Number,
+      default: 8,
+    },
+    codeAlphabet: {
+      type: String,
+      default: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789",
+    },
+    codesGenerated: {
+      type: Number,
+      default: 0,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+discountCampaignSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Fields copied onto every code in the campaign
+export const CAMPAIGN_RULE_FIELDS = [
+  "type",
+  "value",
+  "minOrder",
+  "maxDiscount",
+  "startDate",
+  "endDate",
+  "customerType",
+  "appliesTo",
+  "categories",
+  "products",
+  "combineWithOther",
+  "excludeSaleItems",
+];
+
+export default mongoose.model("DiscountCampaign", discountCampaignSchema);
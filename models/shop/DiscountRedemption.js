@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+const discountRedemptionSchema = new mongoose.Schema(
+  {
+    discount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Discount",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    // Shop that owns the discount, for per-shop reporting
+    shopOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Campaign the code belongs to, for campaign roll-ups
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DiscountCampaign",
+      default: null,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    // Discount given on this order by this code
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, "Amount cannot be negative"],
+    },
+    orderTotal: {
+      type: Number,
+      default: 0,
+      min: [0, "Order total cannot be negative"],
+    },
+    customerSegment: {
+      type: String,
+      enum: ["new", "returning", "vip"],
+      default: "new",
+    },
+    // Copied from the discount so the database can enforce one use per customer
+    oneTimeUse: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when the order is cancelled; voided rows no longer count as a use
+    voided: {
+      type: Boolean,
+      default: false,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ================================
+// INDEXES
+// ================================
+
+// A discount is redeemed at most once per order
+discountRedemptionSchema.index({ discount: 1, order: 1 }, { unique: true });
+discountRedemptionSchema.index({ discount: 1, customer: 1 });
+// A one-time code has at most one live redemption per customer, even when
+// two checkouts race
+discountRedemptionSchema.index(
+  { customer: 1, discount: 1 },
+  { unique: true, partialFilterExpression: { oneTimeUse: true, voided: false } }
+);
+discountRedemptionSchema.index({ discount: 1, createdAt: -1 });
+discountRedemptionSchema.index({ campaign: 1, createdAt: -1 });
+
+export default mongoose.model("DiscountRedemption", discountRedemptionSchema);
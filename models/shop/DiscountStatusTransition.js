@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const STATUSES = ["active", "upcoming", "expired", "paused"];
+
+const discountStatusTransitionSchema = new mongoose.Schema(
+  {
+    discount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Discount",
+      required: true,
+    },
+    from: {
+      type: String,
+      enum: STATUSES,
+      required: true,
+    },
+    to: {
+      type: String,
+      enum: STATUSES,
+      required: true,
+    },
+    // "schedule" for date-driven changes, "manual" for owner actions
+    source: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+discountStatusTransitionSchema.index({ discount: 1, createdAt: -1 });
+
+export default mongoose.model("DiscountStatusTransition", discountStatusTransitionSchema);
@@ -0,0 +1,192 @@
+import mongoose from "mongoose";
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Chosen variant, for products sold in options
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: {
+      type: String,
+      default: null,
+    },
+    variantLabel: {
+      type: String,
+      default: null,
+    },
+    // Snapshot of the product at checkout time
+    name: {
+      type: String,
+      required: true,
+    },
+    image: {
+      type: String,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity must be at least 1"],
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: [0, "Subtotal cannot be negative"],
+    },
+    // Share of the order discount given to this line
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount amount cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+const orderDiscountSchema = new mongoose.Schema(
+  {
+    discount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Discount",
+      required: true,
+    },
+    code: { type: String, required: true },
+    type: { type: String, enum: ["percentage", "fixed"], required: true },
+    value: { type: Number, default: 0 },
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount amount cannot be negative"],
+    },
+    usageRecorded: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The shop owner whose products were bought
+    shopOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      default: null,
+    },
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "Order must contain at least one item",
+      },
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: [0, "Subtotal cannot be negative"],
+    },
+    // Every discount code applied to this order, in the order applied
+    discounts: [orderDiscountSchema],
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount amount cannot be negative"],
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: [0, "Total cannot be negative"],
+    },
+    shippingAddress: {
+      fullName: { type: String, trim: true, default: "" },
+      phone: { type: String, trim: true, default: "" },
+      address: { type: String, trim: true, default: "" },
+      city: { type: String, trim: true, default: "" },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Notes cannot exceed 500 characters"],
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled"],
+      default: "pending",
+    },
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "paid", "refunded"],
+      default: "unpaid",
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ================================
+// VIRTUAL PROPERTIES
+// ================================
+
+orderSchema.virtual("itemCount").get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// ================================
+// INDEXES
+// ================================
+
+orderSchema.index({ customer: 1, createdAt: -1 });
+orderSchema.index({ shopOwner: 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ "discounts.discount": 1 });
+
+// ================================
+// STATIC METHODS
+// ================================
+
+// Human-friendly order number, e.g. SO-LX2K9Q-4821
+orderSchema.statics.generateOrderNumber = function() {
+  const timePart = Date.now().toString(36).toUpperCase();
+  const randomPart = Math.floor(1000 + Math.random() * 9000);
+  return `SO-${timePart}-${randomPart}`;
+};
+
+export default mongoose.model("Order", orderSchema);
@@ -1,5 +1,80 @@
 import mongoose from "mongoose";
 
+// Stock at or below this is flagged as low
+export const LOW_STOCK_THRESHOLD = 5;
+export const MAX_PRODUCT_OPTIONS = 3;
+
+// An option such as Size with its allowed values (S, M, L)
+const productOptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Option name is required"],
+      trim: true,
+      maxLength: [30, "Option name cannot exceed 30 characters"],
+    },
+    values: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (values) => values.length > 0,
+        message: "Each option needs at least one value",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// One gallery image; the first image in the list is the cover
+const productImageSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: [true, "Image filename is required"],
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxLength: [200, "Alt text cannot exceed 200 characters"],
+    default: "",
+  },
+});
+
+// One sellable combination of option values
+const productVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+    uppercase: true,
+    maxLength: [50, "SKU cannot exceed 50 characters"],
+  },
+  // Option name -> chosen value, e.g. { Size: "M", Colour: "Red" }
+  optionValues: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, "Price cannot be negative"],
+    default: null,
+  },
+  compareAtPrice: {
+    type: Number,
+    min: [0, "Compare-at price cannot be negative"],
+    default: null,
+  },
+  stock: {
+    type: Number,
+    min: [0, "Stock cannot be negative"],
+    default: 0,
+  },
+  image: {
+    type: String,
+    default: null,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -18,6 +93,12 @@ const productSchema = new mongoose.Schema(
       required: [true, "Price is required"],
       min: [0, "Price cannot be negative"],
     },
+    // Original price; a product is on sale when this is above price
+    compareAtPrice: {
+      type: Number,
+      min: [0, "Compare-at price cannot be negative"],
+      default: null,
+    },
     stock: {
       type: Number,
       required: [true, "Stock quantity is required"],
@@ -30,6 +111,12 @@ const productSchema = new mongoose.Schema(
       maxLength: [1000, "Description cannot exceed 1000 characters"],
       default: "",
     },
+    // Ordered gallery; images[0] is the cover
+    images: {
+      type: [productImageSchema],
+      default: [],
+    },
+    // Kept in step with the first two gallery images for older clients
     frontImage: {
       type: String,
       required: [true, "Front image is required"],
@@ -38,6 +125,15 @@ const productSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    options: {
+      type: [productOptionSchema],
+      default: [],
+    },
+    // When present, stock is the sum of variant stock
+    variants: {
+      type: [productVariantSchema],
+      default: [],
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -51,9 +147,175 @@ const productSchema = new mongoose.Schema(
   }
 );
 
+// Virtual flag used by discounts that exclude sale items
+productSchema.virtual("isOnSale").get(function() {
+  return !!this.compareAtPrice && this.compareAtPrice > this.price;
+});
+
+productSchema.virtual("coverImage").get(function() {
+  return this.images?.[0]?.filename || this.frontImage || null;
+});
+
+// ================================
+// GALLERY
+// ================================
+
+// Build a gallery from the legacy front/back fields
+productSchema.methods.migrateLegacyImages = function() {
+  if (this.images.length > 0 || !this.frontImage) return false;
+
+  this.images.push({ filename: this.frontImage, alt: this.name });
+  if (this.backImage) this.images.push({ filename: this.backImage, alt: "" });
+  return true;
+};
+
+// Every filename the product points at, for cleanup
+productSchema.methods.getImageFilenames = function() {
+  return [
+    ...new Set([
+      ...this.images.map((image) => image.filename),
+      this.frontImage,
+      this.backImage,
+      ...this.variants.map((variant) => variant.image),
+    ].filter(Boolean)),
+  ];
+};
+
+// Validation runs before save hooks, so mirror the cover here
+productSchema.pre("validate", async function() {
+  this.migrateLegacyImages();
+
+  if (this.images.length > 0) {
+    this.frontImage = this.images[0].filename;
+    this.backImage = this.images[1]?.filename || null;
+  }
+});
+
+productSchema.virtual("hasVariants").get(function() {
+  return this.variants?.length > 0;
+});
+
+// ================================
+// VARIANTS
+// ================================
+
+/**
+ * Check option definitions and variants for consistency.
+ * Returns an error message, or null when everything lines up.
+ */
+productSchema.statics.validateVariants = function(options = [], variants = []) {
+  if (options.length > MAX_PRODUCT_OPTIONS) {
+    return `A product can have at most ${MAX_PRODUCT_OPTIONS} options`;
+  }
+
+  const optionNames = options.map((o) => o.name);
+  if (new Set(optionNames).size !== optionNames.length) {
+    return "Option names must be unique";
+  }
+
+  if (variants.length > 0 && options.length === 0) {
+    return "Define at least one option before adding variants";
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of variants) {
+    const sku = String(variant.sku || "").trim().toUpperCase();
+    if (!sku) return "Every variant needs a SKU";
+    if (skus.has(sku)) return `SKU ${sku} is used by more than one variant`;
+    skus.add(sku);
+
+    const values = variant.optionValues instanceof Map
+      ? Object.fromEntries(variant.optionValues)
+      : variant.optionValues || {};
+
+    for (const option of options) {
+      if (!option.values.includes(values[option.name])) {
+        return `Variant ${sku} needs a valid ${option.name}`;
+      }
+    }
+
+    if (Object.keys(values).some((name) => !optionNames.includes(name))) {
+      return `Variant ${sku} uses an option that is not defined`;
+    }
+
+    const key = optionNames.map((name) => values[name]).join("|");
+    if (combinations.has(key)) return `More than one variant has the options of ${sku}`;
+    combinations.add(key);
+  }
+
+  return null;
+};
+
+// "M / Red" style label for a variant
+productSchema.methods.getVariantLabel = function(variant) {
+  if (!variant) return null;
+  return this.options
+    .map((option) => variant.optionValues?.get(option.name))
+    .filter(Boolean)
+    .join(" / ");
+};
+
+// Price and compare-at price for a variant, falling back to the product
+productSchema.methods.getPricing = function(variant) {
+  return {
+    price: variant?.price ?? this.price,
+    compareAtPrice: variant?.compareAtPrice ?? this.compareAtPrice,
+  };
+};
+
+/**
+ * Take stock atomically. For a variant both the variant and the product
+ * total are decremented in one update. Returns the updated product or null.
+ */
+productSchema.statics.takeStock = function(productId, variantId, quantity) {
+  if (variantId) {
+    return this.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+      { $inc: { "variants.$.stock": -quantity, stock: -quantity } },
+      { new: true }
+    );
+  }
+
+  // Products with variants must be bought through a variant
+  return this.findOneAndUpdate(
+    { _id: productId, "variants.0": { $exists: false }, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true }
+  );
+};
+
+// Give back stock taken with takeStock
+productSchema.statics.returnStock = function(productId, variantId, quantity) {
+  if (variantId) {
+    return this.updateOne(
+      { _id: productId, "variants._id": variantId },
+      { $inc: { "variants.$.stock": quantity, stock: quantity } }
+    );
+  }
+  return this.updateOne({ _id: productId }, { $inc: { stock: quantity } });
+};
+
+// Variant rule failures are reported as a normal ValidationError
+productSchema.pre("validate", function() {
+  if (this.variants.length > 0) {
+    const error = this.constructor.validateVariants(this.options, this.variants);
+    if (error) this.invalidate("variants", error);
+  }
+});
+
+// Keep the product total in step with its variants
+productSchema.pre("save", async function() {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+});
+
 // Index for better search performance
 productSchema.index({ name: "text", description: "text" });
 productSchema.index({ category: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ createdBy: 1, "variants.sku": 1 });
 
 export default mongoose.model("Product", productSchema);
\ No newline at end of file
@@ -1,4 +1,23 @@
 import mongoose from "mongoose";
+import { getBaseSlug } from "../../utils/shop/storeSlugs.js";
+import { DEFAULT_TIMEZONE } from "../../utils/shop/businessHours.js";
+
+// One opening period; a close at or before open runs past midnight
+const businessHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    open: { type: String, required: true }, // "HH:MM"
+    close: { type: String, required: true }, // "HH:MM", "24:00" allowed
+  },
+  { _id: false }
+);
+
+// Closed for whole days, e.g. holidays; dates are in the store's timezone
+const closureSchema = new mongoose.Schema({
+  startDate: { type: String, required: true }, // "YYYY-MM-DD"
+  endDate: { type: String, required: true }, // inclusive
+  reason: { type: String, trim: true, default: "" },
+});
 
 const storeSchema = new mongoose.Schema(
   {
@@ -7,6 +26,17 @@ const storeSchema = new mongoose.Schema(
       required: [true, "Store name is required"],
       trim: true,
     },
+    // Public handle used in storefront URLs; generated from the name
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    // Earlier slugs, newest last; links using them redirect to `slug`
+    previousSlugs: {
+      type: [String],
+      default: [],
+    },
     tagline: {
       type: String,
       trim: true,
@@ -30,6 +60,19 @@ const storeSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // IANA name, e.g. "Europe/Berlin"; hours and closures are local to it
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+    },
+    businessHours: {
+      type: [businessHoursSchema],
+      default: [],
+    },
+    closures: {
+      type: [closureSchema],
+      default: [],
+    },
     established: {
       type: Number,
       default: new Date().getFullYear(),
@@ -50,6 +93,20 @@ const storeSchema = new mongoose.Schema(
       twitter: { type: String, default: "" },
       website: { type: String, default: "" },
     },
+    // Store-wide rules for combining discount codes at checkout
+    discountSettings: {
+      maxStackedCodes: {
+        type: Number,
+        default: 3,
+        min: [1, "At least one discount code must be allowed"],
+      },
+      maxDiscountPercent: {
+        type: Number,
+        default: 100,
+        min: [0, "Discount cap cannot be negative"],
+        max: [100, "Discount cap cannot exceed 100%"],
+      },
+    },
     statistics: {
       totalOrders: { type: Number, default: 0 },
       totalRevenue: { type: Number, default: 0 },
@@ -66,6 +123,35 @@ const storeSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set by an admin; hides the store and its products from shoppers
+    suspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Suspension reason cannot exceed 500 characters"],
+      default: "",
+    },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -83,6 +169,57 @@ storeSchema.index({ name: 1 });
 storeSchema.index({ createdBy: 1 }, { unique: true });
 storeSchema.index({ isVerified: 1 });
 storeSchema.index({ isActive: 1 });
+storeSchema.index({ suspended: 1 });
+storeSchema.index({ slug: 1 }, { unique: true, sparse: true });
+storeSchema.index({ previousSlugs: 1 });
+
+// ================================
+// HOOKS
+// ================================
+
+// Every store gets a slug; owners can change it later
+storeSchema.pre("validate", async function() {
+  if (!this.slug) {
+    this.slug = await this.constructor.generateUniqueSlug(this.name, this._id);
+  }
+});
+
+// ================================
+// STATIC METHODS
+// ================================
+
+// A store shoppers may see: active and not suspended. Stores saved before
+// suspension existed have no `suspended` field, hence $ne.
+storeSchema.statics.findPublic = function(filter = {}) {
+  return this.findOne({ ...filter, isActive: true, suspended: { $ne: true } });
+};
+
+// Whether another store uses the slug, now or as a redirect
+storeSchema.statics.isSlugTaken = async function(slug, excludeStoreId = null) {
+  const taken = await this.exists({
+    $or: [{ slug }, { previousSlugs: slug }],
+    ...(excludeStoreId && { _id: { $ne: excludeStoreId } }),
+  });
+  return Boolean(taken);
+};
+
+// "my-shop", then "my-shop-2", "my-shop-3", ... until one is free
+storeSchema.statics.generateUniqueSlug = async function(name, excludeStoreId = null) {
+  const base = getBaseSlug(name);
+
+  for (let suffix = 1; suffix < 1000; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+    if (!(await this.isSlugTaken(candidate, excludeStoreId))) return candidate;
+  }
+
+  // Practically unreachable; fall back to a random suffix
+  return `${base}-${Date.now().toString(36)}`;
+};
+
+// Owner ids of suspended stores, to leave their products out of listings
+storeSchema.statics.getSuspendedOwnerIds = function() {
+  return this.distinct("createdBy", { suspended: true });
+};
 
 const Store = mongoose.model("Store", storeSchema);
 
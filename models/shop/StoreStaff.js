@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { PERMISSION_NAMES } from "../../utils/shop/permissions.js";
+
+// A user working for a store, from invitation to revocation
+const storeStaffSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+    },
+    // Address the invitation was sent to; must match the accepting account
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    // Set when the invitation is accepted
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    permissions: {
+      type: [{ type: String, enum: PERMISSION_NAMES }],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["invited", "active", "revoked"],
+      default: "invited",
+    },
+    // SHA-256 of the invitation token; the token itself is only emailed
+    inviteTokenHash: {
+      type: String,
+      default: null,
+    },
+    inviteExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+storeStaffSchema.index({ store: 1, email: 1 }, { unique: true });
+storeStaffSchema.index({ user: 1, status: 1 });
+storeStaffSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+export default mongoose.model("StoreStaff", storeStaffSchema);
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  getStores,
+  getStoreById,
+  verifyStore,
+  unverifyStore,
+  suspendStore,
+  reactivateStore,
+} from "../../controllers/admin/storeController.js";
+import { protect, adminOnly } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect);
+router.use(adminOnly);
+
+// 📌 Listing
+router.get("/", getStores); // ?search=&status=&verified=
+router.get("/:id", getStoreById); // With product, discount and staff counts
+
+// 📌 Moderation
+router.patch("/:id/verify", verifyStore);
+router.patch("/:id/unverify", unverifyStore);
+router.patch("/:id/suspend", suspendStore); // Requires { reason }
+router.patch("/:id/reactivate", reactivateStore);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import { getOrphanedUploads } from "../../controllers/admin/uploadController.js";
+import { protect, adminOnly } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect);
+router.use(adminOnly);
+
+// 📌 Upload maintenance
+router.get("/orphans", getOrphanedUploads); // Dry-run orphan report
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  getUsers,
+  getUserById,
+  createUser,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  unlockUser,
+  deleteUser,
+} from "../../controllers/admin/userController.js";
+import { protect, adminOnly } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect);
+router.use(adminOnly);
+
+// 📌 CRUD operations
+router.get("/", getUsers); // ?search=&role=&status=
+router.post("/", createUser); // Any role, admin included
+router.get("/:id", getUserById);
+router.delete("/:id", deleteUser);
+
+// 📌 Account state
+router.patch("/:id/role", updateUserRole);
+router.patch("/:id/suspend", suspendUser);
+router.patch("/:id/reactivate", reactivateUser);
+router.patch("/:id/unlock", unlockUser); // Clear failed-login lockout
+
+export default router;
@@ -1,9 +1,31 @@
 import express from "express";
-import { registerUser, loginUser } from "../controllers/authController.js";
+import {
+  registerUser,
+  registerCustomer,
+  loginUser,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+} from "../controllers/authController.js";
+import { protect } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-router.post("/register", registerUser); // Admin-only usage
+router.post("/register", registerUser); // Shop owner or customer sign-up, never admin
+router.post("/register/customer", registerCustomer); // Shopper self-registration
 router.post("/login", loginUser);       // Used by your frontend login page
+router.post("/refresh", refreshSession); // New access token from a refresh token
+router.post("/logout", logoutUser);     // End this device's session
+router.post("/logout-all", protect, logoutAllSessions); // End every session
+router.put("/password", protect, changePassword); // Also ends other sessions
+router.post("/forgot-password", forgotPassword); // Email a reset link
+router.post("/reset-password", resetPassword);   // New password from the emailed token
+router.post("/verify-email", verifyEmail);       // Confirm address from the emailed token
+router.post("/verify-email/resend", protect, resendVerificationEmail);
 
 export default router;
@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  createCampaign,
+  getCampaigns,
+  getCampaignById,
+  updateCampaign,
+  deleteCampaign,
+  generateCampaignCodes,
+  getCampaignCodes,
+  exportCampaignCodes,
+} from "../../controllers/shop/campaignController.js";
+import { protect } from "../../middleware/authMiddleware.js";
+import { requireStorePermission } from "../../middleware/shop/storeAccess.js";
+import { checkOwnership } from "../../middleware/shop/resourceScope.js";
+
+const router = express.Router();
+
+// Loads req.resource; owners and staff only reach their store's campaigns
+const ownCampaign = checkOwnership("DiscountCampaign");
+
+// All routes require a shop owner or staff with discounts:manage
+router.use(protect);
+router.use(requireStorePermission("discounts:manage"));
+
+// 📌 CRUD operations
+router.post("/", createCampaign);
+router.get("/", getCampaigns);
+router.get("/:id", ownCampaign, getCampaignById);
+router.put("/:id", ownCampaign, updateCampaign);
+router.delete("/:id", ownCampaign, deleteCampaign);
+
+// 📌 Generated codes
+router.post("/:id/codes", ownCampaign, generateCampaignCodes); // Generate more codes
+router.get("/:id/codes", ownCampaign, getCampaignCodes); // Per-code redemption status
+router.get("/:id/export", ownCampaign, exportCampaignCodes); // CSV download
+
+export default router;
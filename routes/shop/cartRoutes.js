@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  applyCartDiscount,
+  removeCartDiscount,
+} from "../../controllers/shop/cartController.js";
+import { protect } from "../../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All routes require authentication (each user has their own cart)
+router.use(protect);
+
+router.get("/", getCart);
+router.delete("/", clearCart);
+
+// 📌 Line items
+router.post("/items", addCartItem);
+router.patch("/items/:productId", updateCartItem);
+router.delete("/items/:productId", removeCartItem);
+
+// 📌 Discount code
+router.post("/discount", applyCartDiscount);
+router.delete("/discount", removeCartDiscount);
+
+export default router;
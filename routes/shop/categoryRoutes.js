@@ -6,33 +6,38 @@ import {
   updateCategory,
   deleteCategory,
 } from "../../controllers/shop/categoryController.js";
-import { protect, authorizeRoles, checkOwnership } from "../../middleware/authMiddleware.js";
+import { protect } from "../../middleware/authMiddleware.js";
+import { attachStoreAccess, requireStorePermission } from "../../middleware/shop/storeAccess.js";
+import { checkOwnership } from "../../middleware/shop/resourceScope.js";
 
 const router = express.Router();
 
 // All routes require login
 router.use(protect);
 
-// 📌 Everyone can read (filtered by ownership in controller)
-router.get("/", getCategories);
-router.get("/:id", getCategoryById);
+// 📌 Everyone can read (owners and staff only their store's categories)
+router.get("/", attachStoreAccess, getCategories);
+router.get(
+  "/:id",
+  checkOwnership("Category", { allow: ["store", "shoppers"], populate: { path: "createdBy", select: "name" } }),
+  getCategoryById
+);
 
-// 📌 Only shopOwner can create, update, delete
-router.post("/", authorizeRoles("shopOwner"), createCategory);
+// 📌 Only shopOwner or staff with products:write can create, update, delete
+router.post("/", requireStorePermission("products:write"), createCategory);
 
-// 🔥 ADD ownership check for update and delete
 router.put(
   "/:id", 
-  authorizeRoles("shopOwner"),
-  checkOwnership("Category"), // Check ownership
+  requireStorePermission("products:write"),
+  checkOwnership("Category"),
   updateCategory
 );
 
 router.delete(
   "/:id", 
-  authorizeRoles("shopOwner"),
-  checkOwnership("Category"), // Check ownership
+  requireStorePermission("products:write"),
+  checkOwnership("Category"),
   deleteCategory
 );
 
-export default router;
\ No newline at end of file
+export default router;
@@ -6,34 +6,54 @@ import {
   updateDiscount,
   deleteDiscount,
   updateDiscountUsage,
+  getDiscountRedemptions,
+  getDiscountHistory,
   getDiscountStats,
   validateDiscountCode,
   bulkUpdateStatus,
 } from "../../controllers/shop/discountController.js";
-import { protect, authorizeRoles } from "../../middleware/authMiddleware.js";
+import { protect } from "../../middleware/authMiddleware.js";
+import { requireStorePermission } from "../../middleware/shop/storeAccess.js";
+import { checkOwnership } from "../../middleware/shop/resourceScope.js";
 import { uploadDiscountImage } from "../../middleware/shop/discountUploadMiddleware.js";
 
 const router = express.Router();
 
+// Loads req.resource; owners and staff only reach their store's discounts
+const ownDiscount = checkOwnership("Discount");
+
 // All routes require authentication
 router.use(protect);
 
 // 📌 PUBLIC: Validate discount code (for checkout)
 router.get("/validate/:code", validateDiscountCode);
+router.post("/validate/:code", validateDiscountCode); // With cart line items
 
-// 📌 Shop owner routes
-router.use(authorizeRoles("shopOwner"));
+// 📌 Shop owner and staff with discounts:manage
+router.use(requireStorePermission("discounts:manage"));
 
 // 📌 CRUD operations
 router.post("/", uploadDiscountImage, createDiscount);
 router.get("/", getDiscounts);
 router.get("/stats/summary", getDiscountStats);
-router.get("/:id", getDiscountById);
-router.put("/:id", uploadDiscountImage, updateDiscount);
-router.delete("/:id", deleteDiscount);
+router.get(
+  "/:id",
+  checkOwnership("Discount", {
+    populate: [
+      { path: "categories", select: "name" },
+      { path: "products", select: "name price" },
+      { path: "createdBy", select: "name email" },
+    ],
+  }),
+  getDiscountById
+);
+router.put("/:id", ownDiscount, uploadDiscountImage, updateDiscount);
+router.delete("/:id", ownDiscount, deleteDiscount);
 
 // 📌 Special operations
-router.patch("/:id/use", updateDiscountUsage); // When discount is used in order
+router.patch("/:id/use", ownDiscount, updateDiscountUsage); // When discount is used in order
+router.get("/:id/redemptions", ownDiscount, getDiscountRedemptions); // Per-customer usage ledger
+router.get("/:id/history", ownDiscount, getDiscountHistory); // Status transitions
 router.patch("/bulk/status", bulkUpdateStatus); // Bulk update status
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+import express from "express";
+import {
+  createOrder,
+  previewOrder,
+  getMyOrders,
+  getOrders,
+  getOrderById,
+  updateOrderStatus,
+  cancelOrder,
+} from "../../controllers/shop/orderController.js";
+import { protect, authorizeRoles } from "../../middleware/authMiddleware.js";
+import { checkOwnership } from "../../middleware/shop/resourceScope.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// 📌 Checkout and buyer routes
+router.post("/", createOrder);
+router.post("/preview", previewOrder);
+router.get("/my-orders", getMyOrders);
+router.patch("/:id/cancel", checkOwnership("Order", { allow: ["customer"] }), cancelOrder);
+
+// 📌 Shop owner routes
+router.get("/", authorizeRoles("shopOwner", "admin"), getOrders);
+router.patch(
+  "/:id/status",
+  authorizeRoles("shopOwner", "admin"),
+  checkOwnership("Order", { allow: ["owner"] }),
+  updateOrderStatus
+);
+
+// 📌 Customer, shop owner or admin
+router.get(
+  "/:id",
+  checkOwnership("Order", {
+    allow: ["customer", "owner"],
+    populate: [
+      { path: "customer", select: "name email" },
+      { path: "store", select: "name logo" },
+    ],
+  }),
+  getOrderById
+);
+
+export default router;
@@ -7,55 +7,80 @@ import {
   deleteProduct,
   updateStock,
   getProductStats,
+  addProductImages,
+  reorderProductImages,
+  updateProductImage,
+  deleteProductImage,
   debugUser, // ADDED
 } from "../../controllers/shop/productController.js";
-import { protect, authorizeRoles } from "../../middleware/authMiddleware.js"; // REMOVED checkOwnership
-import { uploadProductImages } from "../../middleware/shop/uploadMiddleware.js";
+import { protect } from "../../middleware/authMiddleware.js";
+import { attachStoreAccess, requireStorePermission } from "../../middleware/shop/storeAccess.js";
+import { checkOwnership } from "../../middleware/shop/resourceScope.js";
+import { uploadProductImages, uploadGalleryImages } from "../../middleware/shop/uploadMiddleware.js";
 
 const router = express.Router();
 
+// Loads req.resource; owners and staff only reach their store's products
+const ownProduct = checkOwnership("Product");
+
 // All routes require authentication
 router.use(protect);
 
 // 📌 Debug endpoint (temporary - for testing ownership)
 router.get("/debug/user", debugUser);
 
-// 📌 Everyone can GET products (filtered by ownership in controller)
-router.get("/", getProducts);
-router.get("/stats/summary", authorizeRoles("shopOwner"), getProductStats);
-router.get("/:id", getProductById);
+// 📌 Everyone can GET products (filtered by store access in controller)
+router.get("/", attachStoreAccess, getProducts);
+router.get("/stats/summary", requireStorePermission(), getProductStats);
+router.get(
+  "/:id",
+  checkOwnership("Product", {
+    allow: ["store", "shoppers"],
+    populate: [
+      { path: "category", select: "name" },
+      { path: "createdBy", select: "name email" },
+    ],
+  }),
+  getProductById
+);
 
-// 📌 ONLY shopOwner can CREATE products
+// 📌 ONLY shopOwner or staff with products:write can CREATE products
 router.post(
   "/",
-  authorizeRoles("shopOwner"),
+  requireStorePermission("products:write"),
   uploadProductImages,
   createProduct
 );
 
-// 📌 ONLY shopOwner can UPDATE their own products
-// Ownership check is handled in the controller
+// 📌 ONLY shopOwner or staff with products:write can UPDATE the store's products
 router.put(
   "/:id",
-  authorizeRoles("shopOwner"),
+  requireStorePermission("products:write"),
+  ownProduct,
   uploadProductImages,
   updateProduct
 );
 
-// 📌 ONLY shopOwner can DELETE their own products
-// Ownership check is handled in the controller
+// 📌 ONLY shopOwner or staff with products:write can DELETE the store's products
 router.delete(
   "/:id",
-  authorizeRoles("shopOwner"),
+  requireStorePermission("products:write"),
+  ownProduct,
   deleteProduct
 );
 
-// 📌 ONLY shopOwner can update stock of their own products
-// Ownership check is handled in the controller
+// 📌 ONLY shopOwner or staff with inventory:write can update stock
 router.patch(
   "/:id/stock",
-  authorizeRoles("shopOwner"),
+  requireStorePermission("inventory:write"),
+  ownProduct,
   updateStock
 );
 
+// 📌 ONLY shopOwner or staff with products:write can manage the gallery
+router.post("/:id/images", requireStorePermission("products:write"), ownProduct, uploadGalleryImages, addProductImages);
+router.patch("/:id/images/order", requireStorePermission("products:write"), ownProduct, reorderProductImages);
+router.patch("/:id/images/:imageId", requireStorePermission("products:write"), ownProduct, updateProductImage);
+router.delete("/:id/images/:imageId", requireStorePermission("products:write"), ownProduct, deleteProductImage);
+
 export default router;
\ No newline at end of file
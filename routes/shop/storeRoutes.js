@@ -4,16 +4,34 @@ import {
   getMyStore,
   updateStore,
   updateSocialLinks,
+  updateStoreSlug,
+  updateBusinessHours,
   getPublicStore,
   deleteStore,
 } from "../../controllers/shop/storeController.js";
+import { getPublicProducts, getPublicProductById } from "../../controllers/shop/productController.js";
+import { getPublicCategories } from "../../controllers/shop/categoryController.js";
+import {
+  getStorePermissions,
+  inviteStaff,
+  listStaff,
+  updateStaffPermissions,
+  removeStaff,
+  acceptInvitation,
+  getMyMemberships,
+} from "../../controllers/shop/staffController.js";
 import { protect, shopOwnerOnly } from "../../middleware/authMiddleware.js";
+import { requireStorePermission } from "../../middleware/shop/storeAccess.js";
+import { resolvePublicStore } from "../../middleware/shop/publicStore.js";
 import { uploadStoreImages } from "../../middleware/shop/storeUpload.js";
 
 const router = express.Router();
 
-// Public routes
-router.get("/public/:userId", getPublicStore);
+// Public routes, by store slug (old slugs and owner ids redirect)
+router.get("/public/:slug", resolvePublicStore, getPublicStore);
+router.get("/public/:slug/products", resolvePublicStore, getPublicProducts);
+router.get("/public/:slug/products/:productId", resolvePublicStore, getPublicProductById);
+router.get("/public/:slug/categories", resolvePublicStore, getPublicCategories);
 
 // Protected routes
 router.use(protect);
@@ -26,15 +44,16 @@ router.post(
   createStore
 );
 
+// Owner and staff routes
 router.get(
   "/my-store",
-  shopOwnerOnly,
+  requireStorePermission(),
   getMyStore
 );
 
 router.put(
   "/my-store",
-  shopOwnerOnly,
+  requireStorePermission("store:edit"),
   uploadStoreImages,
   updateStore
 );
@@ -42,10 +61,35 @@ router.put(
 // Separate route for updating only social links
 router.patch(
   "/my-store/social",
-  shopOwnerOnly,
+  requireStorePermission("store:edit"),
   updateSocialLinks
 );
 
+// Public URL handle
+router.patch(
+  "/my-store/slug",
+  requireStorePermission("store:edit"),
+  updateStoreSlug
+);
+
+// Opening hours, timezone and holiday closures
+router.put(
+  "/my-store/hours",
+  requireStorePermission("store:edit"),
+  updateBusinessHours
+);
+
+// Staff management
+router.post("/my-store/staff", requireStorePermission("staff:manage"), inviteStaff);
+router.get("/my-store/staff", requireStorePermission("staff:manage"), listStaff);
+router.patch("/my-store/staff/:staffId", requireStorePermission("staff:manage"), updateStaffPermissions);
+router.delete("/my-store/staff/:staffId", requireStorePermission("staff:manage"), removeStaff);
+
+// Invited users
+router.get("/staff/permissions", getStorePermissions);
+router.post("/staff/invitations/accept", acceptInvitation);
+router.get("/staff/memberships", getMyMemberships);
+
 // Delete store
 router.delete(
   "/my-store",
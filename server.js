@@ -2,23 +2,61 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import path from "path";
-import { fileURLToPath } from "url";
 import connectDB from "./config/db.js";
 import authRoutes from "./routes/authRoutes.js";
 import productRoutes from "./routes/shop/productRoutes.js";
 import categoryRoutes from "./routes/shop/categoryRoutes.js";
 import discountRoutes from "./routes/shop/discountRoutes.js";
 import storeRoutes from "./routes/shop/storeRoutes.js";
+import orderRoutes from "./routes/shop/orderRoutes.js";
+import cartRoutes from "./routes/shop/cartRoutes.js";
+import campaignRoutes from "./routes/shop/campaignRoutes.js";
+import adminUploadRoutes from "./routes/admin/uploadRoutes.js";
+import adminUserRoutes from "./routes/admin/userRoutes.js";
+import adminStoreRoutes from "./routes/admin/storeRoutes.js";
+import { startDiscountStatusScheduler } from "./jobs/discountStatusScheduler.js";
+import { migrateProductGallery } from "./jobs/productGalleryMigration.js";
+import { backfillImageDerivatives } from "./jobs/imageDerivativeBackfill.js";
+import { backfillStoreSlugs } from "./jobs/storeSlugBackfill.js";
+import { startUploadGarbageCollector } from "./jobs/uploadGarbageCollector.js";
+import { getUploadsRoot } from "./utils/storage/index.js";
+import { getMailTransport } from "./utils/mail/index.js";
 import fs from "fs";
 
 dotenv.config();
 connectDB();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Without a mail transport, production would print reset and verification
+// links to the logs while telling users they were emailed
+if (process.env.NODE_ENV === "production") {
+  try {
+    getMailTransport();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
 
 const app = express();
 
+// ================================
+// PROXY
+// ================================
+
+// Behind the hosting proxy req.ip would otherwise be the proxy's address
+// for every client, which breaks per-IP login throttling.
+// TRUST_PROXY: a hop count, true/false, or Express's address list syntax.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === "") {
+    return process.env.NODE_ENV === "production" ? 1 : false;
+  }
+  if (/^\d+$/.test(value)) return parseInt(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+};
+
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // ================================
 // CORS CONFIGURATION FOR DEPLOYMENT
 // ================================
@@ -100,8 +138,9 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // UPLOADS DIRECTORY SETUP
 // ================================
 
-// Create unified uploads directory
-const UPLOADS_DIR = path.join(__dirname, "uploads");
+// Create unified uploads directory; the same root the local storage driver
+// writes to (UPLOADS_ROOT, default <project>/uploads)
+const UPLOADS_DIR = getUploadsRoot();
 const PRODUCTS_UPLOADS = path.join(UPLOADS_DIR, "products");
 const DISCOUNTS_UPLOADS = path.join(UPLOADS_DIR, "discounts");
 const STORES_UPLOADS = path.join(UPLOADS_DIR, "stores");
@@ -156,6 +195,8 @@ const setImageHeaders = (res, filePath) => {
       break;
     case '.svg':
       res.setHeader('Content-Type', 'image/svg+xml');
+      // New uploads are rasterized; SVGs stored before that must not run scripts
+      res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
       break;
     case '.jpg':
     case '.jpeg':
@@ -173,6 +214,8 @@ const setImageHeaders = (res, filePath) => {
 };
 
 // Serve static files with CORS headers
+// Only used by the local storage driver; with STORAGE_DRIVER=s3 image URLs
+// point at the bucket (or S3_PUBLIC_URL) instead
 const staticOptions = {
   setHeaders: (res, filePath) => {
     setImageHeaders(res, filePath);
@@ -203,7 +246,13 @@ app.get("/", (req, res) => {
       products: "/api/products",
       categories: "/api/categories",
       discounts: "/api/discounts",
-      stores: "/api/stores"
+      stores: "/api/stores",
+      orders: "/api/orders",
+      cart: "/api/cart",
+      campaigns: "/api/campaigns",
+      adminUploads: "/api/admin/uploads",
+      adminUsers: "/api/admin/users",
+      adminStores: "/api/admin/stores"
     }
   });
 });
@@ -355,6 +404,12 @@ app.use("/api/products", productRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/discounts", discountRoutes);
 app.use("/api/stores", storeRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/campaigns", campaignRoutes);
+app.use("/api/admin/uploads", adminUploadRoutes);
+app.use("/api/admin/users", adminUserRoutes);
+app.use("/api/admin/stores", adminStoreRoutes);
 
 // ================================
 // ERROR HANDLING
@@ -459,6 +514,16 @@ app.use((req, res) => {
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
+  startDiscountStatusScheduler();
+  migrateProductGallery();
+  backfillImageDerivatives().catch((error) =>
+    console.error("❌ Image size backfill failed:", error.message)
+  );
+  backfillStoreSlugs().catch((error) =>
+    console.error("❌ Store slug backfill failed:", error.message)
+  );
+  startUploadGarbageCollector();
+
   console.log(`
   ┌─────────────────────────────────────────────┐
   │                                             │
@@ -481,6 +546,12 @@ app.listen(PORT, () => {
      Categories: http://localhost:${PORT}/api/categories
      Discounts: http://localhost:${PORT}/api/discounts
      Stores: http://localhost:${PORT}/api/stores
+     Orders: http://localhost:${PORT}/api/orders
+     Cart: http://localhost:${PORT}/api/cart
+     Campaigns: http://localhost:${PORT}/api/campaigns
+     Admin Uploads: http://localhost:${PORT}/api/admin/uploads
+     Admin Users: http://localhost:${PORT}/api/admin/users
+     Admin Stores: http://localhost:${PORT}/api/admin/stores
   
   📸 Image URLs (Production):
      Products: https://shopsobackend.onrender.com/uploads/products/
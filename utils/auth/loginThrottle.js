@@ -0,0 +1,185 @@
+import LoginAttempt from "../../models/LoginAttempt.js";
+
+// ================================
+// POLICY
+// ================================
+
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+const POLICIES = {
+  // One email address, from anywhere
+  account: {
+    backoffAfter: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockAfter: 10,
+    lockMs: 15 * 60 * 1000,
+  },
+  // One client, across any number of email addresses
+  ip: {
+    backoffAfter: 20,
+    baseDelayMs: 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    lockAfter: 100,
+    lockMs: 60 * 60 * 1000,
+  },
+};
+
+const normalizeEmail = (email) => String(email || "").toLowerCase().trim();
+
+const getKeys = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ scope: "account", key: `account:${normalizeEmail(email)}` });
+  if (ip) keys.push({ scope: "ip", key: `ip:${ip}` });
+  return keys;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// The error a blocked attempt gets, in the same shape protect uses
+const toBlockError = (attempt) => {
+  const now = new Date();
+
+  if (attempt.lockedUntil && attempt.lockedUntil > now) {
+    // A locked IP is reported as rate limiting; only accounts are "locked"
+    if (attempt.scope === "account") {
+      return {
+        status: 423,
+        message: "This account is temporarily locked after too many failed login attempts.",
+        code: "ACCOUNT_LOCKED",
+        retryAfter: secondsUntil(attempt.lockedUntil),
+        lockedUntil: attempt.lockedUntil,
+      };
+    }
+    return {
+      status: 429,
+      message: "Too many failed login attempts from this network. Please try again later.",
+      code: "TOO_MANY_ATTEMPTS",
+      retryAfter: secondsUntil(attempt.lockedUntil),
+    };
+  }
+
+  if (attempt.blockedUntil && attempt.blockedUntil > now) {
+    return {
+      status: 429,
+      message: "Too many failed login attempts. Please wait before trying again.",
+      code: "TOO_MANY_ATTEMPTS",
+      retryAfter: secondsUntil(attempt.blockedUntil),
+    };
+  }
+
+  return null;
+};
+
+// ================================
+// CHECKS
+// ================================
+
+/**
+ * Whether a login may be attempted now.
+ * Returns null, or { status, message, code, retryAfter[, lockedUntil] }.
+ */
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const keys = getKeys({ email, ip });
+  const attempts = await LoginAttempt.find({ key: { $in: keys.map((k) => k.key) } });
+
+  // Report an account lock before IP rate limiting
+  attempts.sort((a, b) => (a.scope === "account" ? -1 : 1) - (b.scope === "account" ? -1 : 1));
+
+  for (const attempt of attempts) {
+    const error = toBlockError(attempt);
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * Count a failed login for the account and the IP, and apply backoff or
+ * lockout. Returns the block the next attempt will hit, if any.
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+  const now = new Date();
+  let block = null;
+
+  for (const { scope, key } of getKeys({ email, ip })) {
+    const policy = POLICIES[scope];
+
+    // Start counting again once the window has passed
+    await LoginAttempt.updateOne(
+      { key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      { $set: { failures: 0, blockedUntil: null } }
+    );
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { scope, lastFailureAt: now, expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const update = {};
+
+    if (attempt.failures >= policy.lockAfter) {
+      update.lockedUntil = new Date(now.getTime() + policy.lockMs);
+      update.failures = 0;
+      console.warn(`🔒 Login locked for ${key} after ${attempt.failures} failed attempts`);
+    } else if (attempt.failures >= policy.backoffAfter) {
+      // 1s, 2s, 4s, ... up to the cap
+      const delay = Math.min(
+        policy.baseDelayMs * 2 ** (attempt.failures - policy.backoffAfter),
+        policy.maxDelayMs
+      );
+      update.blockedUntil = new Date(now.getTime() + delay);
+    }
+
+    const lockedUntil = update.lockedUntil || attempt.lockedUntil;
+    update.expiresAt = new Date(
+      Math.max(now.getTime() + FAILURE_WINDOW_MS, lockedUntil ? lockedUntil.getTime() : 0)
+    );
+
+    const updated = await LoginAttempt.findOneAndUpdate({ key }, { $set: update }, { new: true });
+    block = block || (updated && toBlockError(updated));
+  }
+
+  return block;
+};
+
+/**
+ * A successful login clears the account's failures. The IP keeps its
+ * count, so one valid account cannot be used to reset guessing on others.
+ */
+export const clearLoginFailures = async ({ email }) => {
+  await LoginAttempt.deleteOne({ key: `account:${normalizeEmail(email)}` });
+};
+
+// ================================
+// ADMIN
+// ================================
+
+/**
+ * Current lock/backoff state of an account, or null
+ */
+export const getAccountLoginState = async (email) => {
+  const attempt = await LoginAttempt.findOne({ key: `account:${normalizeEmail(email)}` });
+  if (!attempt) return null;
+
+  return {
+    failures: attempt.failures,
+    lastFailureAt: attempt.lastFailureAt,
+    blockedUntil: attempt.blockedUntil,
+    lockedUntil: attempt.lockedUntil,
+    locked: Boolean(attempt.lockedUntil && attempt.lockedUntil > new Date()),
+  };
+};
+
+/**
+ * Remove the lock and failure count of an account.
+ * Returns whether there was anything to clear.
+ */
+export const unlockAccount = async (email) => {
+  const result = await LoginAttempt.deleteOne({ key: `account:${normalizeEmail(email)}` });
+  return result.deletedCount > 0;
+};
@@ -0,0 +1,263 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../../models/User.js";
+import RefreshToken from "../../models/RefreshToken.js";
+
+// ================================
+// CONFIGURATION
+// ================================
+
+const DEFAULT_ACCESS_TOKEN_EXPIRE = "15m";
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+// Read on every call: .env is loaded after this module is imported.
+// JWT_ACCESS_EXPIRE replaces the old single-token JWT_EXPIRE.
+const getAccessTokenExpire = () => process.env.JWT_ACCESS_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRE;
+
+const getRefreshTokenDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// ================================
+// ACCESS TOKENS
+// ================================
+
+/**
+ * Short-lived JWT sent as "Authorization: Bearer". `tv` must match the
+ * user's tokenVersion for protect to accept it.
+ */
+export const generateAccessToken = (user) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      tv: user.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenExpire() }
+  );
+};
+
+// ================================
+// REFRESH TOKENS
+// ================================
+
+const issueRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip,
+    userAgent: req?.get?.("user-agent"),
+  });
+
+  return { token, hash: hashToken(token) };
+};
+
+/**
+ * Tokens for a new login: { token, refreshToken, expiresIn }
+ */
+export const createSession = async (user, req) => {
+  const refresh = await issueRefreshToken(user, req);
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken: refresh.token,
+    expiresIn: getAccessTokenExpire(),
+  };
+};
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working. Presenting an already rotated
+ * token revokes its whole family, since it has probably been stolen.
+ *
+ * Returns { user, session } or { error: { status, message, code } }.
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const invalid = {
+    error: { status: 401, message: "Invalid refresh token. Please log in again.", code: "INVALID_REFRESH_TOKEN" },
+  };
+
+  if (!refreshToken || typeof refreshToken !== "string") return invalid;
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) return invalid;
+
+  if (stored.revokedAt) {
+    if (stored.replacedByHash) {
+      console.warn(`⚠️ Refresh token reuse detected for user ${stored.user}; revoking session family`);
+      await revokeFamily(stored.family);
+    }
+    return {
+      error: { status: 401, message: "This session has ended. Please log in again.", code: "REFRESH_TOKEN_REVOKED" },
+    };
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    return {
+      error: { status: 401, message: "Your session has expired. Please log in again.", code: "REFRESH_TOKEN_EXPIRED" },
+    };
+  }
+
+  const user = await User.findById(stored.user).select("-password");
+  if (!user || user.suspended || (user.tokenVersion || 0) !== stored.tokenVersion) {
+    await revokeFamily(stored.family);
+    return {
+      error: { status: 401, message: "This session has ended. Please log in again.", code: "REFRESH_TOKEN_REVOKED" },
+    };
+  }
+
+  const next = await issueRefreshToken(user, req, stored.family);
+
+  // Only one request may rotate a given token
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedByHash: next.hash }
+  );
+
+  if (!rotated) {
+    await RefreshToken.deleteOne({ tokenHash: next.hash });
+    return {
+      error: { status: 401, message: "This session has ended. Please log in again.", code: "REFRESH_TOKEN_REVOKED" },
+    };
+  }
+
+  return {
+    user,
+    session: {
+      token: generateAccessToken(user),
+      refreshToken: next.token,
+      expiresIn: getAccessTokenExpire(),
+    },
+  };
+};
+
+/**
+ * Log out one session. Returns false if the token was unknown or already
+ * revoked.
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== "string") return false;
+
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return Boolean(stored);
+};
+
+/**
+ * End every refresh token of a user
+ */
+export const revokeRefreshTokens = (userId) =>
+  RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+/**
+ * Log out everywhere: revoke every refresh token and bump the user's
+ * tokenVersion so outstanding access tokens are rejected too
+ */
+export const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await revokeRefreshTokens(userId);
+};
+
+// ================================
+// ONE-PURPOSE TOKENS (reset, verify)
+// ================================
+
+export const getPasswordResetExpire = () => process.env.PASSWORD_RESET_EXPIRE || "1h";
+export const getEmailVerificationExpire = () => process.env.EMAIL_VERIFICATION_EXPIRE || "24h";
+
+// A secret per purpose, so these tokens can never pass as access tokens
+// (or as each other)
+const getPurposeSecret = (purpose) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(purpose).digest("hex");
+
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    return { payload: jwt.verify(token, getPurposeSecret(purpose), { audience: purpose }) };
+  } catch (error) {
+    const expired = error.name === "TokenExpiredError";
+    return {
+      error: {
+        status: 400,
+        message: expired ? "This link has expired. Please request a new one." : "This link is invalid.",
+        code: expired ? "TOKEN_EXPIRED" : "INVALID_TOKEN",
+      },
+    };
+  }
+};
+
+/**
+ * Reset tokens carry the time of the last password change, so they stop
+ * working as soon as one of them has been used
+ */
+export const generatePasswordResetToken = (user) => {
+  return jwt.sign(
+    { id: user._id, pca: user.passwordChangedAt?.getTime() || 0 },
+    getPurposeSecret("password-reset"),
+    { expiresIn: getPasswordResetExpire(), audience: "password-reset" }
+  );
+};
+
+/**
+ * Returns { user } or { error: { status, message, code } }
+ */
+export const verifyPasswordResetToken = async (token) => {
+  const invalid = {
+    error: { status: 400, message: "This link is invalid.", code: "INVALID_TOKEN" },
+  };
+  if (!token || typeof token !== "string") return invalid;
+
+  const { payload, error } = verifyPurposeToken(token, "password-reset");
+  if (error) return { error };
+
+  const user = await User.findById(payload.id);
+  if (!user) return invalid;
+
+  if ((user.passwordChangedAt?.getTime() || 0) !== payload.pca) {
+    return {
+      error: { status: 400, message: "This link has already been used.", code: "TOKEN_USED" },
+    };
+  }
+
+  return { user };
+};
+
+/**
+ * Verification tokens are tied to the address they were sent to
+ */
+export const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email },
+    getPurposeSecret("email-verification"),
+    { expiresIn: getEmailVerificationExpire(), audience: "email-verification" }
+  );
+};
+
+/**
+ * Returns { user } or { error: { status, message, code } }
+ */
+export const verifyEmailVerificationToken = async (token) => {
+  const invalid = {
+    error: { status: 400, message: "This link is invalid.", code: "INVALID_TOKEN" },
+  };
+  if (!token || typeof token !== "string") return invalid;
+
+  const { payload, error } = verifyPurposeToken(token, "email-verification");
+  if (error) return { error };
+
+  const user = await User.findById(payload.id).select("-password");
+  if (!user || user.email !== payload.email) return invalid;
+
+  return { user };
+};
@@ -0,0 +1,19 @@
+/**
+ * Prints messages instead of sending them; for development
+ */
+export const createConsoleTransport = () => ({
+  name: "console",
+
+  async send({ from, to, subject, text }) {
+    console.log(`
+  📧 ─── Email (not sent) ───────────────────────
+  From: ${from}
+  To: ${to}
+  Subject: ${subject}
+
+${text}
+  ──────────────────────────────────────────────
+`);
+    return { id: null };
+  },
+});
@@ -0,0 +1,25 @@
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+
+/**
+ * Writes each message as a JSON file, so flows can be followed offline
+ * and read back by scripts
+ */
+export const createFileTransport = ({ directory }) => ({
+  name: "file",
+
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(directory, `${id}.json`);
+
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    console.log(`📧 Email to ${message.to} written to ${filePath}`);
+    return { id };
+  },
+});
@@ -0,0 +1,81 @@
+import os from "os";
+import path from "path";
+import { createSmtpTransport } from "./smtpTransport.js";
+import { createConsoleTransport } from "./consoleTransport.js";
+import { createFileTransport } from "./fileTransport.js";
+
+// ================================
+// TRANSPORT SELECTION
+// ================================
+
+// console and file keep reset and verification links on the server, so
+// production only uses them when MAIL_TRANSPORT asks for them by name
+const createTransportFromEnv = () => {
+  const isProduction = process.env.NODE_ENV === "production";
+
+  if (isProduction && !process.env.MAIL_TRANSPORT) {
+    throw new Error("MAIL_TRANSPORT must be set in production (e.g. smtp)");
+  }
+
+  const transport = (process.env.MAIL_TRANSPORT || "console").toLowerCase();
+
+  if (transport === "smtp") {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+  }
+
+  if (transport === "file") {
+    return createFileTransport({
+      directory: process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), "shopso-mail"),
+    });
+  }
+
+  if (transport !== "console") {
+    if (isProduction) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+    }
+    console.warn(`⚠️ Unknown MAIL_TRANSPORT "${transport}", printing emails to the console`);
+  }
+
+  if (isProduction) {
+    console.warn("⚠️ MAIL_TRANSPORT=console in production: emails, including reset links, go to the logs");
+  }
+
+  return createConsoleTransport();
+};
+
+let transport = null;
+
+/**
+ * The configured mail transport. Created on first use so that .env has
+ * been loaded by then. Throws in production when MAIL_TRANSPORT is missing
+ * or unknown.
+ *
+ * Every transport implements:
+ *   send({ from, to, subject, text, html }) -> { id }
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+    console.log(`📧 Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+/**
+ * Send an email from MAIL_FROM through the configured transport
+ */
+export const sendMail = ({ to, subject, text, html }) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || "ShopSo <no-reply@shopso.app>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
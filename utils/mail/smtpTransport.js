@@ -0,0 +1,26 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Sends through any SMTP server
+ */
+export const createSmtpTransport = ({ host, port = 587, secure = false, user, pass } = {}) => {
+  if (!host) {
+    throw new Error("SMTP transport needs a host (SMTP_HOST)");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
@@ -0,0 +1,79 @@
+// Frontend pages that handle the links in these emails
+const getFrontendUrl = () =>
+  (process.env.FRONTEND_URL || "https://shopso.onrender.com").replace(/\/+$/, "");
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const layout = (title, paragraphs, action) => `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto;">
+    <h2>${escapeHtml(title)}</h2>
+    ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n    ")}
+    <p>
+      <a href="${escapeHtml(action.url)}"
+         style="display: inline-block; padding: 10px 18px; background: #111; color: #fff; text-decoration: none; border-radius: 4px;">
+        ${escapeHtml(action.label)}
+      </a>
+    </p>
+    <p style="font-size: 12px; color: #777;">If the button does not work, open this link: ${escapeHtml(action.url)}</p>
+  </body>
+</html>`;
+
+/**
+ * Email with a link to the frontend's reset-password page
+ */
+export const passwordResetEmail = ({ name, token, expiresIn }) => {
+  const url = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  const paragraphs = [
+    `Hi ${name},`,
+    `We received a request to reset your ShopSo password. The link below is valid for ${expiresIn} and can be used once.`,
+    "If you did not ask for this, you can ignore this email; your password stays the same.",
+  ];
+
+  return {
+    subject: "Reset your ShopSo password",
+    text: `${paragraphs.join("\n\n")}\n\nReset your password: ${url}\n`,
+    html: layout("Reset your password", paragraphs, { url, label: "Reset password" }),
+  };
+};
+
+/**
+ * Email with a link to the frontend's verify-email page
+ */
+export const verificationEmail = ({ name, token, expiresIn }) => {
+  const url = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  const paragraphs = [
+    `Hi ${name},`,
+    `Please confirm your email address for ShopSo. The link below is valid for ${expiresIn}.`,
+  ];
+
+  return {
+    subject: "Confirm your ShopSo email address",
+    text: `${paragraphs.join("\n\n")}\n\nConfirm your email: ${url}\n`,
+    html: layout("Confirm your email", paragraphs, { url, label: "Confirm email" }),
+  };
+};
+
+/**
+ * Invitation to work for a store, with a link to the frontend's
+ * staff-invite page
+ */
+export const staffInvitationEmail = ({ storeName, inviterName, token, expiresInDays }) => {
+  const url = `${getFrontendUrl()}/staff-invite?token=${encodeURIComponent(token)}`;
+  const paragraphs = [
+    "Hi,",
+    `${inviterName} invited you to help run ${storeName} on ShopSo. The link below is valid for ${expiresInDays} days.`,
+    "Log in or create a customer account with this email address to accept the invitation.",
+  ];
+
+  return {
+    subject: `You have been invited to ${storeName} on ShopSo`,
+    text: `${paragraphs.join("\n\n")}\n\nAccept the invitation: ${url}\n`,
+    html: layout(`Join ${storeName}`, paragraphs, { url, label: "Accept invitation" }),
+  };
+};
@@ -0,0 +1,250 @@
+// ================================
+// BUSINESS HOURS
+// ================================
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+export const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const MAX_INTERVALS_PER_DAY = 4;
+const MAX_CLOSURES = 50;
+
+// How far ahead to look for the next opening, e.g. past a long closure
+const SEARCH_DAYS = 366;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rejects dates like 2026-02-30, which Date.parse rolls over
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value ?? "")) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// ================================
+// TIMEZONES
+// ================================
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timezone);
+};
+
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a timezone
+const getLocalParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(date).map((part) => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+// Milliseconds the timezone is ahead of UTC at an instant
+const getOffset = (timestamp, timezone) => {
+  const local = getLocalParts(new Date(timestamp), timezone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time occurs in a timezone. `dayStart` is a UTC
+ * midnight standing for the local calendar date. Times skipped by a DST
+ * change resolve to just after the gap.
+ */
+const zonedToInstant = (dayStart, minutes, timezone) => {
+  const wallClock = dayStart + minutes * 60 * 1000;
+  const guess = wallClock - getOffset(wallClock, timezone);
+  // The offset can differ on the other side of a DST change
+  const offset = getOffset(guess, timezone);
+  const instant = wallClock - offset;
+  // Still inconsistent: the wall-clock time falls in a DST gap
+  if (getOffset(instant, timezone) !== offset) return Math.max(guess, instant);
+  return instant;
+};
+
+// ================================
+// VALIDATION
+// ================================
+
+/**
+ * Returns an error message for weekly hours, null if they are valid.
+ * Hours are [{ day: 0-6 (Sunday first), open: "HH:MM", close: "HH:MM" }];
+ * a close at or before open runs past midnight.
+ */
+export const validateBusinessHours = (hours) => {
+  if (!Array.isArray(hours)) {
+    return "Business hours must be an array";
+  }
+
+  const perDay = new Array(7).fill(0);
+
+  for (const interval of hours) {
+    if (!Number.isInteger(interval?.day) || interval.day < 0 || interval.day > 6) {
+      return "Each business hours entry needs a day from 0 (Sunday) to 6 (Saturday)";
+    }
+    if (!TIME_PATTERN.test(interval.open ?? "") || interval.open === "24:00") {
+      return `Invalid opening time for ${DAY_NAMES[interval.day]}; use HH:MM`;
+    }
+    if (!TIME_PATTERN.test(interval.close ?? "")) {
+      return `Invalid closing time for ${DAY_NAMES[interval.day]}; use HH:MM`;
+    }
+    if (interval.open === interval.close) {
+      return `Opening and closing time for ${DAY_NAMES[interval.day]} cannot be the same`;
+    }
+    if (++perDay[interval.day] > MAX_INTERVALS_PER_DAY) {
+      return `At most ${MAX_INTERVALS_PER_DAY} opening periods per day`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Returns an error message for closures, null if they are valid.
+ * Closures are [{ startDate: "YYYY-MM-DD", endDate: "YYYY-MM-DD", reason }],
+ * inclusive and in the store's timezone.
+ */
+export const validateClosures = (closures) => {
+  if (!Array.isArray(closures)) {
+    return "Closures must be an array";
+  }
+  if (closures.length > MAX_CLOSURES) {
+    return `At most ${MAX_CLOSURES} closures`;
+  }
+
+  for (const closure of closures) {
+    for (const field of ["startDate", "endDate"]) {
+      const value = closure?.[field];
+      if (!isValidDate(value)) {
+        return `Closure ${field} must be a date in YYYY-MM-DD format`;
+      }
+    }
+    if (closure.endDate < closure.startDate) {
+      return "Closure endDate cannot be before startDate";
+    }
+    if (closure.reason !== undefined && typeof closure.reason !== "string") {
+      return "Closure reason must be text";
+    }
+  }
+
+  return null;
+};
+
+// ================================
+// OPEN NOW
+// ================================
+
+const toDateString = (dayStart) => new Date(dayStart).toISOString().slice(0, 10);
+
+const findClosure = (closures, dateString) =>
+  closures.find((closure) => closure.startDate <= dateString && dateString <= closure.endDate);
+
+/**
+ * Whether the store is open at `now`, and when it next opens or closes.
+ * Returns
+ *   { hasHours, isOpenNow, closesAt, nextOpenAt, closure, timezone }
+ * with isOpenNow null when the store has not set any hours.
+ */
+export const getOpeningStatus = (store, now = new Date()) => {
+  const timezone = isValidTimezone(store.timezone) ? store.timezone : DEFAULT_TIMEZONE;
+  const hours = store.businessHours || [];
+  const closures = store.closures || [];
+
+  const status = {
+    hasHours: hours.length > 0,
+    isOpenNow: null,
+    closesAt: null,
+    nextOpenAt: null,
+    closure: null,
+    timezone,
+  };
+
+  if (!status.hasHours) return status;
+
+  const nowMs = now.getTime();
+  const local = getLocalParts(now, timezone);
+  const today = Date.UTC(local.year, local.month - 1, local.day);
+
+  status.isOpenNow = false;
+
+  const closure = findClosure(closures, toDateString(today));
+  if (closure) {
+    status.closure = { startDate: closure.startDate, endDate: closure.endDate, reason: closure.reason || "" };
+  }
+
+  // Start yesterday: a late opening can still be running past midnight
+  for (let offset = -1; offset <= SEARCH_DAYS; offset++) {
+    const dayStart = today + offset * DAY_MS;
+    if (findClosure(closures, toDateString(dayStart))) continue;
+
+    const weekday = new Date(dayStart).getUTCDay();
+    const intervals = hours
+      .filter((interval) => interval.day === weekday)
+      .map((interval) => {
+        const open = toMinutes(interval.open);
+        let close = toMinutes(interval.close);
+        if (close <= open) close += 24 * 60;
+        return {
+          opensAt: zonedToInstant(dayStart, open, timezone),
+          closesAt: zonedToInstant(dayStart, close, timezone),
+        };
+      })
+      .sort((a, b) => a.opensAt - b.opensAt);
+
+    for (const interval of intervals) {
+      if (interval.closesAt <= nowMs) continue;
+
+      // Open now, or opening right as the current period ends
+      if (interval.opensAt <= nowMs || (status.closesAt && interval.opensAt <= status.closesAt.getTime())) {
+        status.isOpenNow = true;
+        status.closesAt = new Date(Math.max(interval.closesAt, status.closesAt?.getTime() || 0));
+        continue;
+      }
+
+      status.nextOpenAt = new Date(interval.opensAt);
+      return status;
+    }
+  }
+
+  return status;
+};
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import Discount from "../../models/shop/Discount.js";
+
+// ================================
+// CONFIGURATION
+// ================================
+
+export const DEFAULT_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+export const DEFAULT_CODE_LENGTH = 8;
+export const MAX_CODE_LENGTH = 20; // Matches the Discount.code limit
+export const MAX_CODES_PER_BATCH = 1000;
+
+// Keep the code space much larger than the batch so collisions stay rare
+const MIN_SPACE_RATIO = 10;
+const MAX_ROUNDS = 10;
+
+// ================================
+// OPTIONS
+// ================================
+
+/**
+ * Normalize prefix, length and alphabet. Returns { error } when the
+ * options cannot produce `count` unique codes.
+ */
+export const normalizeCodeOptions = ({ prefix = "", length, alphabet, count = 1 } = {}) => {
+  const cleanPrefix = String(prefix || "").toUpperCase().replace(/[^A-Z0-9_-]/g, "");
+  const cleanAlphabet = [...new Set(String(alphabet || DEFAULT_ALPHABET).toUpperCase())]
+    .filter((char) => /[A-Z0-9]/.test(char))
+    .join("");
+  const codeLength = parseInt(length) || DEFAULT_CODE_LENGTH;
+
+  if (cleanAlphabet.length < 2) {
+    return { error: "Alphabet must contain at least 2 letters or digits" };
+  }
+
+  if (codeLength < 4) {
+    return { error: "Code length must be at least 4 characters" };
+  }
+
+  if (cleanPrefix.length + codeLength > MAX_CODE_LENGTH) {
+    return { error: `Prefix and code length together cannot exceed ${MAX_CODE_LENGTH} characters` };
+  }
+
+  if (Math.pow(cleanAlphabet.length, codeLength) < count * MIN_SPACE_RATIO) {
+    return { error: "Code length or alphabet is too small for this many unique codes" };
+  }
+
+  return { prefix: cleanPrefix, length: codeLength, alphabet: cleanAlphabet };
+};
+
+// ================================
+// GENERATION
+// ================================
+
+const randomCode = ({ prefix, length, alphabet }) => {
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += alphabet.charAt(crypto.randomInt(alphabet.length));
+  }
+  return code;
+};
+
+/**
+ * Generate `count` codes that do not exist yet. Discount codes are unique
+ * across all shops, so the check is global.
+ */
+export const generateUniqueCodes = async (count, options = {}) => {
+  const settings = normalizeCodeOptions({ ...options, count });
+  if (settings.error) throw new Error(settings.error);
+
+  const codes = new Set();
+
+  for (let round = 0; round < MAX_ROUNDS && codes.size < count; round++) {
+    const candidates = new Set();
+    while (candidates.size < count - codes.size) {
+      const code = randomCode(settings);
+      if (!codes.has(code)) candidates.add(code);
+    }
+
+    const taken = await Discount.find({ code: { $in: [...candidates] } }).distinct("code");
+    const takenSet = new Set(taken);
+
+    for (const code of candidates) {
+      if (!takenSet.has(code)) codes.add(code);
+    }
+  }
+
+  if (codes.size < count) {
+    throw new Error("Could not generate enough unique codes. Try a longer code length.");
+  }
+
+  return [...codes];
+};
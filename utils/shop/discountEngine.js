@@ -0,0 +1,571 @@
+import mongoose from "mongoose";
+import Product from "../../models/shop/Product.js";
+import Order from "../../models/shop/Order.js";
+import Discount from "../../models/shop/Discount.js";
+import DiscountRedemption from "../../models/shop/DiscountRedemption.js";
+
+// ================================
+// CUSTOMER SEGMENTS
+// ================================
+
+// A customer becomes VIP at either threshold with the same shop
+export const VIP_MIN_ORDERS = 5;
+export const VIP_MIN_SPEND = 500;
+
+// Which customer segments each discount customerType accepts
+const SEGMENT_MATCHES = {
+  all: ["new", "returning", "vip"],
+  new: ["new"],
+  returning: ["returning", "vip"],
+  vip: ["vip"],
+};
+
+// Round money values to cents
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Works for both populated documents and raw ObjectIds
+const toIdString = (value) => (value?._id || value)?.toString();
+
+/**
+ * Classify a customer as "new", "returning" or "vip" for one shop,
+ * based on their non-cancelled orders. Pass `before` to only count
+ * orders placed before that date.
+ */
+export const getCustomerSegment = async (customerId, shopOwnerId, options = {}) => {
+  if (!customerId || !shopOwnerId) return "new";
+
+  const match = {
+    customer: new mongoose.Types.ObjectId(customerId.toString()),
+    shopOwner: new mongoose.Types.ObjectId(shopOwnerId.toString()),
+    status: { $ne: "cancelled" },
+  };
+  if (options.before) match.createdAt = { $lt: new Date(options.before) };
+
+  const [history] = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        spent: { $sum: "$total" },
+      },
+    },
+  ]);
+
+  if (!history || history.orders === 0) return "new";
+  if (history.orders >= VIP_MIN_ORDERS || history.spent >= VIP_MIN_SPEND) return "vip";
+  return "returning";
+};
+
+/**
+ * Ids of the given discounts this customer has already redeemed.
+ * Redemptions voided by a cancelled order do not count. Pass
+ * `excludeOrderId` to ignore redemptions from that order.
+ */
+export const getRedeemedDiscountIds = async (customerId, discountIds, options = {}) => {
+  if (!customerId || discountIds.length === 0) return [];
+
+  const filter = {
+    customer: customerId,
+    discount: { $in: discountIds },
+    voided: { $ne: true },
+  };
+  if (options.excludeOrderId) filter.order = { $ne: options.excludeOrderId };
+
+  const redeemed = await DiscountRedemption.distinct("discount", filter);
+  return redeemed.map((id) => id.toString());
+};
+
+/**
+ * Everything the engine needs to know about a customer for one shop:
+ * their segment and which of the given discounts they already used.
+ */
+export const getCustomerContext = async (customerId, shopOwnerId, discountIds = [], options = {}) => {
+  const [customerSegment, redeemedDiscountIds] = await Promise.all([
+    getCustomerSegment(customerId, shopOwnerId, options),
+    getRedeemedDiscountIds(customerId, discountIds, options),
+  ]);
+
+  return { customerSegment, redeemedDiscountIds };
+};
+
+/**
+ * Claim one use of a discount for an order: write the ledger entry, then
+ * count the use with Discount.claimUsage. The order does not need to be
+ * saved yet; `order` only needs _id, customer and total.
+ *
+ * The ledger entry is the record that this order was counted. Its unique
+ * indexes make claims safe under concurrency: a second claim for the same
+ * order is a "duplicate" and counts nothing, and a one-time code already
+ * redeemed by this customer is "already_redeemed". If the use cannot be
+ * counted the ledger entry is removed again.
+ *
+ * Pass `details.placedAt` when recording an order placed earlier (see
+ * Discount.claimUsage).
+ *
+ * Resolves to { status, discount } where status is "recorded", "duplicate",
+ * "already_redeemed", "inactive", "limit_reached" or "not_found".
+ */
+export const claimRedemption = async (discount, order, details = {}) => {
+  try {
+    await DiscountRedemption.create({
+      discount: discount._id,
+      customer: order.customer,
+      order: order._id,
+      shopOwner: discount.createdBy,
+      campaign: discount.campaign || null,
+      code: discount.code,
+      amount: details.amount || 0,
+      orderTotal: order.total,
+      customerSegment: details.customerSegment || "new",
+      oneTimeUse: !!discount.oneTimeUse,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    if (error.keyPattern?.order) {
+      return { status: "duplicate", discount: await Discount.findById(discount._id) };
+    }
+    return { status: "already_redeemed", discount };
+  }
+
+  const claim = await Discount.claimUsage(discount._id, order.total, {
+    placedAt: details.placedAt,
+  });
+
+  if (claim.status !== "recorded") {
+    await DiscountRedemption.deleteOne({ discount: discount._id, order: order._id });
+  }
+
+  return claim;
+};
+
+/**
+ * Undo a claimRedemption for an order that was never saved, e.g. when
+ * checkout fails after the claim. Only gives the use back if the ledger
+ * entry was still there.
+ */
+export const releaseRedemption = async (discountId, orderId) => {
+  const removed = await DiscountRedemption.findOneAndDelete({
+    discount: discountId,
+    order: orderId,
+    voided: { $ne: true },
+  });
+
+  if (removed) {
+    await Discount.releaseUsage(discountId, removed.orderTotal);
+  }
+};
+
+/**
+ * Void the ledger entries of a cancelled order and give their uses back,
+ * so the customer can use a one-time code again and reports stop counting
+ * it. Each entry is voided at most once, so a retry releases nothing twice.
+ */
+export const voidRedemptions = async (orderId) => {
+  const redemptions = await DiscountRedemption.find({ order: orderId, voided: { $ne: true } });
+
+  for (const redemption of redemptions) {
+    const voided = await DiscountRedemption.findOneAndUpdate(
+      { _id: redemption._id, voided: { $ne: true } },
+      { $set: { voided: true, voidedAt: new Date() } }
+    );
+
+    if (voided) {
+      await Discount.releaseUsage(redemption.discount, redemption.orderTotal);
+    }
+  }
+};
+
+// ================================
+// LINE ITEMS
+// ================================
+
+/**
+ * Turn raw { product, variant, quantity } items into priced line items
+ * using database prices. Unknown products or variants are returned in
+ * `missing`.
+ */
+export const loadLineItems = async (rawItems = []) => {
+  const quantities = new Map();
+  for (const item of rawItems) {
+    const productId = toIdString(item?.product);
+    const variantId = toIdString(item?.variant) || "";
+    const quantity = parseInt(item?.quantity);
+    if (!productId || !quantity || quantity < 1) continue;
+    const key = `${productId}:${variantId}`;
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  }
+
+  const productIds = [...new Set([...quantities.keys()].map((key) => key.split(":")[0]))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = [];
+  const missing = [];
+  for (const [key, quantity] of quantities) {
+    const [productId, variantId] = key.split(":");
+    const product = productMap.get(productId);
+    const variant = variantId ? product?.variants.id(variantId) : null;
+
+    if (!product || (variantId && !variant)) {
+      missing.push(productId);
+      continue;
+    }
+
+    const { price, compareAtPrice } = product.getPricing(variant);
+    const label = product.getVariantLabel(variant);
+
+    lines.push({
+      product: product._id,
+      variant: variant?._id || null,
+      name: label ? `${product.name} (${label})` : product.name,
+      category: product.category,
+      shopOwner: product.createdBy,
+      price,
+      compareAtPrice,
+      quantity,
+      subtotal: roundMoney(price * quantity),
+    });
+  }
+
+  return { lines, missing };
+};
+
+// ================================
+// ELIGIBILITY
+// ================================
+
+/**
+ * Check whether one line item can receive this discount.
+ * Returns null when eligible, otherwise the reason it is not.
+ */
+export const getLineIneligibleReason = (discount, line) => {
+  const productId = toIdString(line.product);
+  const categoryId = toIdString(line.category);
+
+  if (discount.appliesTo === "selected_products") {
+    const productIds = (discount.products || []).map(toIdString);
+    if (!productIds.includes(productId)) {
+      return "Product is not included in this discount";
+    }
+  }
+
+  if (discount.appliesTo === "selected_categories") {
+    const categoryIds = (discount.categories || []).map(toIdString);
+    if (!categoryIds.includes(categoryId)) {
+      return "Product category is not included in this discount";
+    }
+  }
+
+  if (discount.excludeSaleItems) {
+    const isOnSale = !!line.compareAtPrice && line.compareAtPrice > line.price;
+    if (isOnSale) return "Sale items are excluded from this discount";
+  }
+
+  return null;
+};
+
+/**
+ * Check the customer-specific rules: one-time use and customer segment.
+ * Returns null when this customer may use the discount, otherwise the reason.
+ */
+export const getCustomerIneligibleReason = (discount, context = {}) => {
+  const { customerSegment = "new", redeemedDiscountIds = [] } = context;
+
+  if (discount.oneTimeUse && redeemedDiscountIds.includes(discount._id.toString())) {
+    return "This discount has already been used by this customer";
+  }
+
+  const allowedSegments = SEGMENT_MATCHES[discount.customerType || "all"] || [];
+  if (!allowedSegments.includes(customerSegment)) {
+    return `This discount is only available to ${discount.customerType} customers`;
+  }
+
+  return null;
+};
+
+/**
+ * Check the order-level rules that do not depend on individual lines.
+ * Returns null when the discount can be used, otherwise the reason.
+ */
+export const getOrderIneligibleReason = (discount, context = {}) => {
+  const { otherDiscounts = [] } = context;
+
+  const invalidReason = discount.getInvalidReason();
+  if (invalidReason) return invalidReason;
+
+  const customerReason = getCustomerIneligibleReason(discount, context);
+  if (customerReason) return customerReason;
+
+  if (otherDiscounts.length > 0) {
+    if (!discount.combineWithOther) {
+      return "This discount cannot be combined with other discounts";
+    }
+    const blocking = otherDiscounts.find((other) => !other.combineWithOther);
+    if (blocking) {
+      return `This discount cannot be combined with ${blocking.code}`;
+    }
+  }
+
+  return null;
+};
+
+// ================================
+// CALCULATION
+// ================================
+
+/**
+ * Apply one discount to a list of line items.
+ *
+ * Only eligible lines count towards the discounted amount; minOrder is
+ * checked against the whole order subtotal (or `context.orderSubtotal`). The discount is spread over
+ * eligible lines in proportion to their subtotal so the breakdown adds up
+ * to the total discount exactly.
+ */
+export const calculateDiscount = (discount, lines, context = {}) => {
+  const orderSubtotal = context.orderSubtotal ??
+    roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+  const breakdown = lines.map((line) => {
+    const reason = getLineIneligibleReason(discount, line);
+    return {
+      product: line.product,
+      variant: line.variant || null,
+      name: line.name,
+      quantity: line.quantity,
+      subtotal: line.subtotal,
+      eligible: !reason,
+      reason,
+      discountAmount: 0,
+    };
+  });
+
+  const eligibleSubtotal = roundMoney(
+    breakdown.filter((line) => line.eligible).reduce((sum, line) => sum + line.subtotal, 0)
+  );
+
+  const result = {
+    valid: false,
+    reason: null,
+    code: discount.code,
+    orderSubtotal,
+    eligibleSubtotal,
+    discountAmount: 0,
+    lines: breakdown,
+  };
+
+  const orderReason = getOrderIneligibleReason(discount, context);
+  if (orderReason) return { ...result, reason: orderReason };
+
+  if (discount.minOrder > 0 && orderSubtotal < discount.minOrder) {
+    return { ...result, reason: `Minimum order amount is $${discount.minOrder}` };
+  }
+
+  if (eligibleSubtotal <= 0) {
+    return { ...result, reason: "No items in your order are eligible for this discount" };
+  }
+
+  const discountAmount = discount.calculateAmount(eligibleSubtotal);
+
+  // Spread the discount over eligible lines, last line takes the rounding
+  const eligibleLines = breakdown.filter((line) => line.eligible);
+  let allocated = 0;
+  eligibleLines.forEach((line, index) => {
+    if (index === eligibleLines.length - 1) {
+      line.discountAmount = roundMoney(discountAmount - allocated);
+    } else {
+      line.discountAmount = roundMoney((discountAmount * line.subtotal) / eligibleSubtotal);
+      allocated = roundMoney(allocated + line.discountAmount);
+    }
+  });
+
+  return { ...result, valid: true, discountAmount };
+};
+
+// ================================
+// STACKING
+// ================================
+
+// Percentage codes apply before fixed ones, bigger values first
+const compareStackOrder = (a, b) => {
+  if (a.type !== b.type) return a.type === "percentage" ? -1 : 1;
+  return b.value - a.value;
+};
+
+// Apply a set of discounts one after another on what is left of each line
+const applyStack = (discounts, lines, context) => {
+  const orderSubtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const remaining = lines.map((line) => line.subtotal);
+  const applied = [];
+  const rejected = [];
+
+  for (const discount of [...discounts].sort(compareStackOrder)) {
+    const currentLines = lines.map((line, index) => ({ ...line, subtotal: remaining[index] }));
+    const result = calculateDiscount(discount, currentLines, {
+      customerSegment: context.customerSegment,
+      redeemedDiscountIds: context.redeemedDiscountIds,
+      orderSubtotal,
+    });
+
+    if (!result.valid || result.discountAmount <= 0) {
+      rejected.push({
+        code: discount.code,
+        reason: result.reason || "Nothing left to discount after the other codes",
+      });
+      continue;
+    }
+
+    result.lines.forEach((line, index) => {
+      remaining[index] = roundMoney(remaining[index] - line.discountAmount);
+    });
+
+    applied.push({
+      discount,
+      code: discount.code,
+      type: discount.type,
+      value: discount.value,
+      amount: result.discountAmount,
+      lines: result.lines.map((line) => line.discountAmount),
+    });
+  }
+
+  const discountAmount = roundMoney(applied.reduce((sum, entry) => sum + entry.amount, 0));
+
+  return { applied, rejected, discountAmount };
+};
+
+// Trim the last applied discounts until the total fits under the cap
+const applyCap = (stack, cap) => {
+  let excess = roundMoney(stack.discountAmount - cap);
+  if (excess <= 0) return false;
+
+  for (let i = stack.applied.length - 1; i >= 0 && excess > 0; i--) {
+    const entry = stack.applied[i];
+    const cut = Math.min(entry.amount, excess);
+
+    // Take the cut from the entry's lines, last line first
+    let left = cut;
+    for (let j = entry.lines.length - 1; j >= 0 && left > 0; j--) {
+      const lineCut = Math.min(entry.lines[j], left);
+      entry.lines[j] = roundMoney(entry.lines[j] - lineCut);
+      left = roundMoney(left - lineCut);
+    }
+
+    entry.amount = roundMoney(entry.amount - cut);
+    entry.capped = true;
+    excess = roundMoney(excess - cut);
+  }
+
+  stack.applied = stack.applied.filter((entry) => entry.amount > 0);
+  stack.discountAmount = roundMoney(cap);
+  return true;
+};
+
+/**
+ * Resolve several discount codes for one order.
+ *
+ * Codes that fail on their own are rejected first. A code with
+ * combineWithOther=false can only be used alone, so every such code is
+ * compared against the combined set of stackable codes and the option that
+ * saves the customer the most wins. Stackable codes are limited to
+ * `maxStackedCodes`, applied percentage-first, and the final total is capped
+ * at `maxDiscountPercent` of the order subtotal.
+ *
+ * Returns the applied codes with their amounts, the rejected codes with a
+ * reason, and the total discount per line.
+ */
+export const applyDiscounts = (discounts, lines, context = {}) => {
+  const {
+    customerSegment = "new",
+    redeemedDiscountIds = [],
+    maxStackedCodes = 3,
+    maxDiscountPercent = 100,
+  } = context;
+
+  const orderSubtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const rejected = [];
+  const candidates = [];
+  const seen = new Set();
+
+  // Each code must be valid on its own before it can be stacked
+  for (const discount of discounts) {
+    if (seen.has(discount.code)) {
+      rejected.push({ code: discount.code, reason: "Code entered more than once" });
+      continue;
+    }
+    seen.add(discount.code);
+
+    const result = calculateDiscount(discount, lines, { customerSegment, redeemedDiscountIds });
+    if (!result.valid) {
+      rejected.push({ code: discount.code, reason: result.reason });
+      continue;
+    }
+
+    candidates.push({ discount, standaloneAmount: result.discountAmount });
+  }
+
+  const exclusive = candidates.filter((c) => !c.discount.combineWithOther);
+  let stackable = candidates
+    .filter((c) => c.discount.combineWithOther)
+    .sort((a, b) => b.standaloneAmount - a.standaloneAmount);
+
+  // Keep the most valuable stackable codes within the store limit
+  if (stackable.length > maxStackedCodes) {
+    stackable.slice(maxStackedCodes).forEach((c) => {
+      rejected.push({
+        code: c.discount.code,
+        reason: `Only ${maxStackedCodes} discount code${maxStackedCodes === 1 ? "" : "s"} can be combined per order`,
+      });
+    });
+    stackable = stackable.slice(0, maxStackedCodes);
+  }
+
+  // Every exclusive code alone, and the stackable codes together
+  const options = exclusive.map((c) => [c.discount]);
+  if (stackable.length > 0) options.push(stackable.map((c) => c.discount));
+
+  let best = { applied: [], rejected: [], discountAmount: 0 };
+  let bestOption = [];
+  for (const option of options) {
+    const stack = applyStack(option, lines, { customerSegment, redeemedDiscountIds });
+    if (stack.discountAmount > best.discountAmount) {
+      best = stack;
+      bestOption = option;
+    }
+  }
+
+  // Explain why the losing options were not used
+  const chosen = new Set(bestOption.map((d) => d.code));
+  const chosenExclusive = bestOption.length === 1 && !bestOption[0].combineWithOther;
+
+  for (const { discount } of [...exclusive, ...stackable]) {
+    if (chosen.has(discount.code)) continue;
+    rejected.push({
+      code: discount.code,
+      reason: chosenExclusive
+        ? `Cannot be combined with ${bestOption[0].code}`
+        : discount.combineWithOther
+          ? "Cannot be combined with the other codes; a better discount was applied"
+          : "This code cannot be combined with other discounts; the combined codes save more",
+    });
+  }
+  rejected.push(...best.rejected);
+
+  // Store-wide cap on the total discount
+  const cap = roundMoney((orderSubtotal * maxDiscountPercent) / 100);
+  const capped = applyCap(best, cap);
+
+  const lineDiscounts = lines.map((_, index) =>
+    roundMoney(best.applied.reduce((sum, entry) => sum + entry.lines[index], 0))
+  );
+
+  return {
+    orderSubtotal,
+    discountAmount: best.discountAmount,
+    capped,
+    cap,
+    applied: best.applied,
+    rejected,
+    lineDiscounts,
+  };
+};
@@ -0,0 +1,273 @@
+import sharp from "sharp";
+import path from "path";
+import fs from "fs";
+import { getStorage } from "../storage/index.js";
+
+// ================================
+// CONFIGURATION
+// ================================
+
+// Longest side, in pixels, of each derivative
+export const IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 640,
+  large: 1280,
+};
+
+const MAX_ORIGINAL_DIMENSION = 2048;
+const WEBP_QUALITY = 80;
+
+// SVGs are rendered at this density before resizing so small logos stay sharp
+const SVG_DENSITY = 300;
+
+const DERIVATIVE_PATTERN = new RegExp(`-(${Object.keys(IMAGE_SIZES).join("|")})\\.webp$`);
+
+// ================================
+// NAMING
+// ================================
+
+/**
+ * "product-123.webp" -> "product-123-thumbnail.webp"
+ */
+export const getDerivativeFilename = (filename, size) => {
+  const { name } = path.parse(path.basename(filename));
+  return `${name}-${size}.webp`;
+};
+
+export const isDerivativeFilename = (filename) => DERIVATIVE_PATTERN.test(filename);
+
+/**
+ * Storage key of an image, e.g. ("stores/logos", "logo-1.webp")
+ */
+export const getStorageKey = (folder, filename) => `${folder}/${path.basename(filename)}`;
+
+// ================================
+// CONTENT VALIDATION
+// ================================
+
+// Image type each accepted extension must actually contain
+const EXTENSION_TYPES = {
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".png": "png",
+  ".gif": "gif",
+  ".webp": "webp",
+  ".svg": "svg",
+};
+
+const startsWithBytes = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const startsWithText = (buffer, text, offset = 0) =>
+  buffer.toString("latin1", offset, offset + text.length) === text;
+
+// Skip the XML declaration, comments, doctype and whitespace that may
+// precede the root element, then expect <svg
+const looksLikeSvg = (buffer) => {
+  const head = buffer
+    .toString("utf8", 0, Math.min(buffer.length, 4096))
+    .replace(/^\uFEFF/, "")
+    .replace(/<\?xml[\s\S]*?\?>/, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!DOCTYPE[^>]*>/i, "")
+    .trimStart();
+  return /^<svg[\s>]/i.test(head);
+};
+
+/**
+ * Identify an image from its leading bytes rather than trusting the
+ * filename or the client-reported mimetype
+ */
+export const detectImageType = (buffer) => {
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) return "jpeg";
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "png";
+  if (startsWithText(buffer, "GIF87a") || startsWithText(buffer, "GIF89a")) return "gif";
+  if (startsWithText(buffer, "RIFF") && startsWithText(buffer, "WEBP", 8)) return "webp";
+  if (looksLikeSvg(buffer)) return "svg";
+  return null;
+};
+
+/**
+ * Returns an error message if the file content does not match its
+ * extension, null if it does
+ */
+export const validateImageContent = (buffer, filename) => {
+  const expected = EXTENSION_TYPES[path.extname(filename).toLowerCase()];
+  const detected = detectImageType(buffer);
+
+  if (!detected) {
+    return "The uploaded file is not a recognised image";
+  }
+  if (detected !== expected) {
+    return `The uploaded file is a ${detected.toUpperCase()} image but was named as ${path.extname(filename).slice(1).toUpperCase()}`;
+  }
+  return null;
+};
+
+// ================================
+// PROCESSING
+// ================================
+
+// sharp strips EXIF and other metadata unless asked to keep it;
+// rotate() applies the EXIF orientation before it is dropped.
+// SVGs are rasterized, so scripts, event handlers and external
+// references in them never reach storage.
+const createPipeline = (input, ext) => {
+  if (ext === ".svg") {
+    return sharp(input, { density: SVG_DENSITY });
+  }
+
+  const animated = ext === ".gif" || ext === ".webp";
+  const pipeline = sharp(input, { animated });
+  return animated ? pipeline : pipeline.rotate();
+};
+
+const renderWebp = (input, ext, maxDimension) =>
+  createPipeline(input, ext)
+    .resize({
+      width: maxDimension,
+      height: maxDimension,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer();
+
+/**
+ * Store thumbnail, medium and large WebP versions of an image.
+ * Reads the original from storage unless its bytes are passed in.
+ */
+export const generateDerivatives = async (folder, filename, input = null) => {
+  const storage = getStorage();
+  const ext = path.extname(filename).toLowerCase();
+  const source = input || (await storage.get(getStorageKey(folder, filename)));
+
+  if (!source) {
+    throw new Error(`Image not found in storage: ${getStorageKey(folder, filename)}`);
+  }
+
+  for (const [size, maxDimension] of Object.entries(IMAGE_SIZES)) {
+    await storage.put(
+      getStorageKey(folder, getDerivativeFilename(filename, size)),
+      await renderWebp(source, ext, maxDimension),
+      { contentType: "image/webp" }
+    );
+  }
+};
+
+/**
+ * Re-encode an uploaded temp file as a size-capped WebP without metadata,
+ * store it with its derivatives under `folder` and remove the temp file.
+ * Updates the multer file object in place so controllers keep using
+ * file.filename; file.path becomes the storage key.
+ * The content should have passed validateImageContent first.
+ */
+export const storeUploadedImage = async (file, folder) => {
+  const ext = path.extname(file.filename).toLowerCase();
+  const input = await fs.promises.readFile(file.path);
+
+  const filename = `${path.parse(file.filename).name}.webp`;
+  const body = await renderWebp(input, ext, MAX_ORIGINAL_DIMENSION);
+  const key = getStorageKey(folder, filename);
+  const contentType = "image/webp";
+
+  await getStorage().put(key, body, { contentType });
+  file.storageKey = key;
+  await generateDerivatives(folder, filename, body);
+
+  await fs.promises.unlink(file.path);
+  Object.assign(file, { filename, path: key, destination: folder, mimetype: contentType, size: body.length });
+  return file;
+};
+
+/**
+ * Remove an image and its derivatives from storage.
+ * Returns whether the original existed.
+ */
+export const deleteStoredImage = async (folder, filename) => {
+  const storage = getStorage();
+
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    const key = getStorageKey(folder, getDerivativeFilename(filename, size));
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`❌ Error deleting image derivative ${key}:`, error.message);
+    }
+  }
+
+  return storage.delete(getStorageKey(folder, filename));
+};
+
+// ================================
+// MIDDLEWARE
+// ================================
+
+// Works for upload.single, upload.array and upload.fields
+const collectFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Remove everything a failed request left behind: temp files and, for
+// files already stored, the stored image and its derivatives
+const discardUploads = async (files) => {
+  for (const file of files) {
+    try {
+      if (file.storageKey) {
+        await deleteStoredImage(path.posix.dirname(file.storageKey), file.storageKey);
+      }
+      // file.path still points at the temp file until it has been stored
+      if (file.path !== file.storageKey && fs.existsSync(file.path)) {
+        await fs.promises.unlink(file.path);
+      }
+    } catch (cleanupError) {
+      console.error(`❌ Error cleaning up ${file.path}:`, cleanupError.message);
+    }
+  }
+};
+
+/**
+ * Run after a multer middleware that writes to the temp upload dir:
+ * check that every file really is the image type it claims to be, then
+ * normalize it and store it, with its size derivatives, in the
+ * configured storage.
+ *
+ * `folder` is a storage folder or a function of the multer file.
+ */
+export const processUploadedImages = (folder) => async (req, res, next) => {
+  const files = collectFiles(req);
+  const folderFor = typeof folder === "function" ? folder : () => folder;
+
+  try {
+    for (const file of files) {
+      const contentError = validateImageContent(
+        await fs.promises.readFile(file.path),
+        file.filename
+      );
+
+      if (contentError) {
+        console.warn(`⚠️ Rejected upload ${file.originalname}: ${contentError}`);
+        await discardUploads(files);
+        return res.status(400).json({ success: false, message: contentError });
+      }
+    }
+
+    for (const file of files) {
+      await storeUploadedImage(file, folderFor(file));
+    }
+    next();
+  } catch (error) {
+    console.error("❌ Image processing error:", error.message);
+
+    // Nothing from this request should stay behind
+    await discardUploads(files);
+
+    res.status(400).json({
+      success: false,
+      message: "Could not process the uploaded image. Please upload a valid image file.",
+    });
+  }
+};
@@ -0,0 +1,66 @@
+import path from "path";
+import { IMAGE_FOLDERS, getStorage } from "../storage/index.js";
+import { IMAGE_SIZES, getDerivativeFilename } from "./imageProcessing.js";
+
+// ================================
+// CONFIGURATION
+// ================================
+
+// Read on every call: .env is loaded after this module is imported
+//   PUBLIC_BASE_URL    public origin of this API, e.g. https://api.example.com
+//                      (request-derived URLs say http:// behind the proxy)
+//   CDN_URL            host serving uploaded images, e.g. https://cdn.example.com
+//   IMAGE_URL_VERSION  appended as ?v= to bust caches after reprocessing
+const trimSlash = (value) => (value ? value.replace(/\/+$/, "") : "");
+
+const getUrlConfig = () => ({
+  publicBaseUrl: trimSlash(process.env.PUBLIC_BASE_URL),
+  cdnUrl: trimSlash(process.env.CDN_URL),
+  version: process.env.IMAGE_URL_VERSION || "",
+});
+
+const getRequestOrigin = (req) => (req ? `${req.protocol}://${req.get("host")}` : "");
+
+// ================================
+// URL BUILDERS
+// ================================
+
+/**
+ * Public URL of an uploaded image.
+ *
+ * @param {object} req - Express request, used only when no PUBLIC_BASE_URL is set
+ * @param {string} type - "products", "discounts", "logos" or "banners"
+ * @param {string} filename - Stored filename
+ * @param {string} [size] - "thumbnail", "medium" or "large" for a derivative
+ */
+export const getImageUrl = (req, type, filename, size = null) => {
+  if (!filename) return null;
+
+  const folder = IMAGE_FOLDERS[type];
+  if (!folder) {
+    throw new Error(`Unknown image type: ${type}`);
+  }
+
+  const { publicBaseUrl, cdnUrl, version } = getUrlConfig();
+  const name = size ? getDerivativeFilename(filename, size) : path.basename(filename);
+
+  const url = getStorage().getUrl(`${folder}/${name}`, {
+    cdnUrl,
+    appUrl: publicBaseUrl || getRequestOrigin(req),
+  });
+
+  return version ? `${url}?v=${encodeURIComponent(version)}` : url;
+};
+
+/**
+ * URLs of the thumbnail, medium and large versions of an uploaded image
+ */
+export const getImageSizeUrls = (req, type, filename) => {
+  if (!filename) return null;
+
+  const urls = {};
+  for (const size of Object.keys(IMAGE_SIZES)) {
+    urls[size] = getImageUrl(req, type, filename, size);
+  }
+  return urls;
+};
@@ -0,0 +1,48 @@
+// ================================
+// STORE PERMISSIONS
+// ================================
+
+// Named permissions a store owner can grant to staff. Owners hold all of
+// them; every active staff member can also read the store's products.
+export const STORE_PERMISSIONS = {
+  "products:write": "Create, edit and delete products and their images",
+  "inventory:write": "Update stock levels",
+  "discounts:manage": "Create and manage discounts and campaigns",
+  "store:edit": "Edit the store profile, images and social links",
+  "staff:manage": "Invite staff and change their permissions",
+};
+
+export const PERMISSION_NAMES = Object.keys(STORE_PERMISSIONS);
+
+// Holding the key also grants the listed permissions
+const IMPLIED_PERMISSIONS = {
+  "products:write": ["inventory:write"],
+};
+
+/**
+ * Whether a resolved store access (see middleware/shop/storeAccess.js)
+ * includes a permission
+ */
+export const hasStorePermission = (access, permission) => {
+  if (!access) return false;
+  if (access.isOwner) return true;
+
+  return access.permissions.some(
+    (held) => held === permission || IMPLIED_PERMISSIONS[held]?.includes(permission)
+  );
+};
+
+/**
+ * Returns an error message for unknown permission names, null if all are valid
+ */
+export const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return "Permissions must be an array";
+  }
+
+  const unknown = permissions.filter((permission) => !PERMISSION_NAMES.includes(permission));
+  if (unknown.length > 0) {
+    return `Unknown permission(s): ${unknown.join(", ")}. Valid: ${PERMISSION_NAMES.join(", ")}`;
+  }
+  return null;
+};
@@ -0,0 +1,70 @@
+// ================================
+// STORE SLUGS
+// ================================
+
+export const MIN_SLUG_LENGTH = 3;
+export const MAX_SLUG_LENGTH = 50;
+
+// Old slugs a store keeps redirecting; the oldest are released beyond this
+export const MAX_PREVIOUS_SLUGS = 10;
+
+// Would clash with routes or read as official
+const RESERVED_SLUGS = [
+  "admin",
+  "api",
+  "my-store",
+  "new",
+  "public",
+  "shopso",
+  "staff",
+  "store",
+  "stores",
+  "support",
+];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * "Café Zoë & Sons!" -> "cafe-zoe-sons". May return "" for names with
+ * no letters or digits.
+ */
+export const slugify = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+
+/**
+ * Returns an error message for a slug an owner picked, null if it is valid
+ */
+export const validateSlug = (slug) => {
+  if (typeof slug !== "string" || !slug) {
+    return "Slug is required";
+  }
+  if (slug.length < MIN_SLUG_LENGTH || slug.length > MAX_SLUG_LENGTH) {
+    return `Slug must be between ${MIN_SLUG_LENGTH} and ${MAX_SLUG_LENGTH} characters`;
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return "Slug may only contain lowercase letters, digits and single hyphens between them";
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    return "This slug is reserved";
+  }
+  return null;
+};
+
+/**
+ * A valid base to number from: the slugified name, padded or replaced when
+ * it is too short or reserved
+ */
+export const getBaseSlug = (name) => {
+  let base = slugify(name);
+  if (base.length < MIN_SLUG_LENGTH) base = base ? `${base}-store` : "store";
+  if (RESERVED_SLUGS.includes(base)) base = `${base}-shop`;
+  // Leave room for a "-123" suffix
+  return base.slice(0, MAX_SLUG_LENGTH - 4).replace(/-+$/, "");
+};
@@ -0,0 +1,93 @@
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { createLocalStorage } from "./localStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+
+// ================================
+// FOLDERS
+// ================================
+
+// Storage folder (key prefix) for each kind of image
+export const IMAGE_FOLDERS = {
+  products: "products",
+  discounts: "discounts",
+  logos: "stores/logos",
+  banners: "stores/banners",
+};
+
+// ================================
+// LOCAL UPLOADS ROOT
+// ================================
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+/**
+ * Folder the local driver writes to and server.js serves from: UPLOADS_ROOT
+ * resolved against the project root, or <project>/uploads. Never depends on
+ * the directory the server was started from.
+ */
+export const getUploadsRoot = () =>
+  path.resolve(PROJECT_ROOT, process.env.UPLOADS_ROOT || "uploads");
+
+// ================================
+// TEMPORARY UPLOADS
+// ================================
+
+// Multer writes here; processed files are then handed to the storage driver
+export const UPLOAD_TEMP_DIR = path.join(os.tmpdir(), "shopso-uploads");
+
+export const ensureUploadTempDir = () => {
+  if (!fs.existsSync(UPLOAD_TEMP_DIR)) {
+    fs.mkdirSync(UPLOAD_TEMP_DIR, { recursive: true });
+  }
+  return UPLOAD_TEMP_DIR;
+};
+
+// ================================
+// DRIVER SELECTION
+// ================================
+
+const createStorageFromEnv = () => {
+  const driver = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+  if (driver === "s3") {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      publicUrl: process.env.S3_PUBLIC_URL,
+      prefix: process.env.S3_PREFIX || "",
+    });
+  }
+
+  if (driver !== "local") {
+    console.warn(`⚠️ Unknown STORAGE_DRIVER "${driver}", using local disk`);
+  }
+
+  return createLocalStorage({ root: getUploadsRoot() });
+};
+
+let storage = null;
+
+/**
+ * The configured storage driver. Created on first use so that .env has
+ * been loaded by then.
+ *
+ * Every driver implements:
+ *   put(key, body, { contentType })  get(key) -> Buffer | null
+ *   delete(key) -> boolean           exists(key) -> boolean
+ *   list(prefix) -> [{ key, size, lastModified }]
+ *   getUrl(key, { cdnUrl, appUrl }) -> public URL
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorageFromEnv();
+    console.log(`🗄️ Upload storage: ${storage.name}`);
+  }
+  return storage;
+};
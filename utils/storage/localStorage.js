@@ -0,0 +1,84 @@
+import path from "path";
+import fs from "fs";
+
+/**
+ * Local disk driver. Files live under `root` and are served by
+ * express.static at `publicPath`.
+ */
+export const createLocalStorage = ({ root = "uploads", publicPath = "/uploads" } = {}) => {
+  const rootPath = path.resolve(root);
+
+  // Keys are relative paths like "products/product-1.webp"; never leave the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootPath, key);
+    if (!filePath.startsWith(rootPath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const walk = async (directory) => {
+    if (!fs.existsSync(directory)) return [];
+
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await walk(entryPath)));
+      } else if (!entry.name.startsWith(".")) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) return false;
+      await fs.promises.unlink(filePath);
+      return true;
+    },
+
+    async exists(key) {
+      return fs.existsSync(resolveKey(key));
+    },
+
+    async list(prefix = "") {
+      const files = await walk(path.join(rootPath, prefix));
+      return Promise.all(
+        files.map(async (filePath) => {
+          const stats = await fs.promises.stat(filePath);
+          return {
+            key: path.relative(rootPath, filePath).split(path.sep).join("/"),
+            size: stats.size,
+            lastModified: stats.mtime,
+          };
+        })
+      );
+    },
+
+    // Served by this app, so the CDN (if any) pulls from our own path
+    getUrl(key, { cdnUrl, appUrl = "" } = {}) {
+      return `${cdnUrl || appUrl}${publicPath}/${key}`;
+    },
+  };
+};
@@ -0,0 +1,128 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+
+const isNotFound = (error) =>
+  error?.name === "NotFound" ||
+  error?.name === "NoSuchKey" ||
+  error?.$metadata?.httpStatusCode === 404;
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, R2, Spaces...). Set `endpoint` and
+ * `forcePathStyle` for self-hosted services. Objects must be publicly
+ * readable through `publicUrl` (bucket policy or CDN).
+ */
+export const createS3Storage = ({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl,
+  prefix = "",
+} = {}) => {
+  if (!bucket) {
+    throw new Error("S3 storage needs a bucket (S3_BUCKET)");
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(accessKeyId && secretAccessKey && {
+      credentials: { accessKeyId, secretAccessKey },
+    }),
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  // Public base URL for objects; defaults to the bucket's own address
+  const baseUrl = (
+    publicUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: body,
+          ContentType: contentType || "application/octet-stream",
+          CacheControl: "public, max-age=86400",
+        })
+      );
+    },
+
+    async get(key) {
+      try {
+        const result = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+        );
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      if (!(await this.exists(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    async list(listPrefix = "") {
+      const files = [];
+      let ContinuationToken;
+
+      do {
+        const result = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: objectKey(listPrefix),
+            ContinuationToken,
+          })
+        );
+
+        for (const object of result.Contents || []) {
+          files.push({
+            key: object.Key.slice(prefix.length),
+            size: object.Size,
+            lastModified: object.LastModified,
+          });
+        }
+
+        ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+
+      return files;
+    },
+
+    // A CDN in front of the bucket uses the same object paths
+    getUrl(key, { cdnUrl } = {}) {
+      return `${cdnUrl || baseUrl}/${objectKey(key)}`;
+    },
+  };
+};